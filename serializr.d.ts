@@ -5,15 +5,73 @@ export interface Context {
     target: any;
     parentContext: Context;
     args: any;
+    options: DeserializeOptions;
     await(modelschema: ClazzOrModelSchema<any>,id:string,callback?: (err: any, result: any) => void):any;
 	rootContext:Context;
 }
 
+export interface DeserializeOptions {
+    validate?: boolean;
+    strict?: boolean;
+    graph?: boolean;
+    identityMap?: IdentityMap;
+    concurrency?: number;
+}
+
+export class IdentityMap {
+    get<T>(modelschema: ClazzOrModelSchema<T>, id: any): T | undefined;
+    has(modelschema: ClazzOrModelSchema<any>, id: any): boolean;
+    set<T>(modelschema: ClazzOrModelSchema<T>, id: any, value: T): void;
+    delete(modelschema: ClazzOrModelSchema<any>, id: any): void;
+    clear(): void;
+}
+
+export interface UpdateOptions extends DeserializeOptions {
+    reconcile?: boolean;
+}
+
+export interface Projection {
+    [jsonName: string]: boolean | Projection;
+}
+
+export interface SerializeOptions {
+    graph?: boolean;
+    groups?: string[];
+    fields?: Projection | string[];
+}
+
+export interface SerializationContext {
+    options: SerializeOptions;
+}
+
+export interface ValidationProblem {
+    path: string;
+    propSchema: PropSchema | boolean;
+    value: any;
+    message: string;
+}
+
+export interface ValidationError extends Error {
+    errors: ValidationProblem[];
+}
+
 export type Factory<T> = (context: Context) => T
 
 export interface PropSchema {
-    serializer(sourcePropertyValue: any): any;
+    serializer(sourcePropertyValue: any, key?: any, sourceObject?: any, context?: SerializationContext): any;
     deserializer(jsonValue: any, callback: (err: any, targetPropertyValue: any) => void, context: Context, currentPropertyValue: any): void;
+    required?: boolean;
+    defaultValue?: any;
+    groups?: string[];
+    type?: string;
+    nullable?: boolean;
+    optional?: boolean;
+}
+
+export interface AdditionalPropArgs {
+    required?: boolean;
+    defaultValue?: any;
+    groups?: string[];
 }
 
 export type Props = {
@@ -22,62 +80,181 @@ export type Props = {
 
 export interface ModelSchema<T> {
     factory: Factory<T>,
-    props: Props
+    props: Props,
+    name?: string,
+    compiled?: any,
+    strict?: boolean,
+    undefinedProps?: "omit" | "null",
+    version?: number,
+    migrations?: Migrations,
+    beforeDeserialize?: (json: any, context: Context) => any,
+    afterDeserialize?: (target: T, context: Context) => void,
+    beforeSerialize?: (obj: T, context: SerializationContext) => any,
+    afterSerialize?: (json: any, obj: T, context: SerializationContext) => any
+}
+
+export type Migrations = {
+    [version: number]: (json: any) => any
+}
+
+export interface SerializationHooks<T> {
+    beforeDeserialize?: (json: any, context: Context) => any;
+    afterDeserialize?: (target: T, context: Context) => void;
+    beforeSerialize?: (obj: T, context: SerializationContext) => any;
+    afterSerialize?: (json: any, obj: T, context: SerializationContext) => any;
+}
+
+export interface ModelSchemaOptions<T> extends SerializationHooks<T> {
+    factory?: Factory<T>;
+    name?: string;
+    strict?: boolean;
+    undefinedProps?: "omit" | "null";
+    version?: number;
+    migrations?: Migrations;
 }
 
 export type Clazz<T> = new(...args: any[]) => T;
 export type ClazzOrModelSchema<T> = ModelSchema<T> | Clazz<T>;
 
-export function createSimpleSchema<T extends Object>(props: Props): ModelSchema<T>;
+export function createSimpleSchema<T extends Object>(props: Props, options?: ModelSchemaOptions<T>): ModelSchema<T>;
 
-export function createModelSchema<T extends Object>(clazz: Clazz<T>, props: Props, factory?: Factory<T>): ModelSchema<T>;
+export function createModelSchema<T extends Object>(clazz: Clazz<T>, props: Props, factory?: Factory<T> | ModelSchemaOptions<T>): ModelSchema<T>;
 
-export function serializable(propSchema: PropSchema | boolean): (target: Object, key: string, baseDescriptor?: PropertyDescriptor) => void;
+export function serializable(propSchema: PropSchema | boolean): (target: Object, key: string, baseDescriptor?: PropertyDescriptor | number) => void;
 export function serializable(target: Object, key: string, baseDescriptor?: PropertyDescriptor): void;
 
+export function compile<T>(modelschema: ClazzOrModelSchema<T>): ModelSchema<T>;
+
+export function toJSONSchema(modelschema: ClazzOrModelSchema<any>): any;
+
+export function serializationHooks<T>(hooks: SerializationHooks<T>): (clazz: Clazz<T>) => void;
+
 export function getDefaultModelSchema<T>(clazz: Clazz<T>): ModelSchema<T>;
 
 export function setDefaultModelSchema<T>(clazz: Clazz<T>, modelschema: ModelSchema<T>): void;
 
-export function serialize<T>(modelschema: ClazzOrModelSchema<T>, instance: T): any;
-export function serialize<T>(instance: T): any;
+export function serialize<T>(modelschema: ClazzOrModelSchema<T>, instance: T, options?: SerializeOptions): any;
+export function serialize<T>(instance: T, options?: SerializeOptions): any;
 
-export function deserialize<T>(modelschema: ClazzOrModelSchema<T>, jsonArray: any[], callback?: (err: any, result: T[]) => void, customArgs?: any): T[];
-export function deserialize<T>(modelschema: ClazzOrModelSchema<T>, json: any, callback?: (err: any, result: T) => void, customArgs?: any): T;
+export function diff<T>(modelschema: ClazzOrModelSchema<T>, before: T, after: T): any;
+export function diff<T>(before: T, after: T): any;
 
-export function update<T>(modelschema: ClazzOrModelSchema<T>, instance:T, json: any, callback?: (err: any, result: T) => void, customArgs?: any): void;
-export function update<T>(instance:T, json: any, callback?: (err: any, result: T) => void, customArgs?: any): void;
+export interface JsonPatchOperation {
+    op: "add" | "remove" | "replace" | "move" | "copy" | "test";
+    path: string;
+    from?: string;
+    value?: any;
+}
+
+export interface NormalizedData {
+    result: any;
+    entities: { [name: string]: { [id: string]: any } };
+}
 
-export function primitive(): PropSchema;
+export function normalize<T>(modelschema: ClazzOrModelSchema<T>, data: T | T[]): NormalizedData;
+export function normalize<T>(data: T | T[]): NormalizedData;
 
-export function identifier(registerFn?: (id: any, value: any, context: Context) => void): PropSchema;
+export function denormalize<T>(modelschema: ClazzOrModelSchema<T>, result: any, entities: NormalizedData["entities"], callback?: (err: any, result: any) => void, customArgs?: any, options?: DeserializeOptions): any;
 
-export function date(): PropSchema;
+export function toJsonPatch<T>(modelschema: ClazzOrModelSchema<T>, before: T, after: T): JsonPatchOperation[];
+export function toJsonPatch<T>(before: T, after: T): JsonPatchOperation[];
+
+export function applyJsonPatch<T>(modelschema: ClazzOrModelSchema<T>, target: T, patch: JsonPatchOperation[], callback?: (err: any, result: T) => void, customArgs?: any, options?: UpdateOptions): void;
+export function applyJsonPatch<T>(target: T, patch: JsonPatchOperation[], callback?: (err: any, result: T) => void, customArgs?: any, options?: UpdateOptions): void;
+
+export function deserialize<T>(modelschema: ClazzOrModelSchema<T>, jsonArray: any[], callback?: (err: any, result: T[]) => void, customArgs?: any, options?: DeserializeOptions): T[];
+export function deserialize<T>(modelschema: ClazzOrModelSchema<T>, json: any, callback?: (err: any, result: T) => void, customArgs?: any, options?: DeserializeOptions): T;
+
+export function deserializeAsync<T>(modelschema: ClazzOrModelSchema<T>, jsonArray: any[], customArgs?: any, options?: DeserializeOptions): Promise<T[]>;
+export function deserializeAsync<T>(modelschema: ClazzOrModelSchema<T>, json: any, customArgs?: any, options?: DeserializeOptions): Promise<T>;
+
+export function update<T>(modelschema: ClazzOrModelSchema<T>, instance:T, json: any, callback?: (err: any, result: T) => void, customArgs?: any, options?: UpdateOptions): void;
+export function update<T>(instance:T, json: any, callback?: (err: any, result: T) => void, customArgs?: any, options?: UpdateOptions): void;
+
+export function updateAsync<T>(modelschema: ClazzOrModelSchema<T>, instance:T, json: any, customArgs?: any, options?: UpdateOptions): Promise<T>;
+export function updateAsync<T>(instance:T, json: any, customArgs?: any, options?: UpdateOptions): Promise<T>;
+
+export function primitive(additionalArgs?: AdditionalPropArgs): PropSchema;
+
+export function identifier(registerFn?: (id: any, value: any, context: Context) => void, additionalArgs?: AdditionalPropArgs): PropSchema;
+export function identifier(additionalArgs: AdditionalPropArgs): PropSchema;
+
+export interface DateOptions extends AdditionalPropArgs {
+    format?: "epoch" | "epochSeconds" | "iso" | "isoDate";
+    strict?: boolean;
+}
+
+export function date(additionalArgs?: DateOptions): PropSchema;
 
 export function alias(jsonName: string, propSchema?: PropSchema | boolean): PropSchema;
 
-export function child(modelschema: ClazzOrModelSchema<any>): PropSchema;
-export function object(modelschema: ClazzOrModelSchema<any>): PropSchema;
+export function child(modelschema: ClazzOrModelSchema<any>, additionalArgs?: AdditionalPropArgs): PropSchema;
+export function object(modelschema: ClazzOrModelSchema<any>, additionalArgs?: AdditionalPropArgs): PropSchema;
 
 export type RefLookupFunction = (id: string, callback: (err: any, result: any) => void,context:Context) => void;
 export type RegisterFunction = (id: any, object: any, context: Context) => void;
+export type BatchRefLookupFunction = (ids: any[], callback: (err: any, results: any[]) => void, context: Context) => void;
+
+export interface ReferenceOptions extends AdditionalPropArgs {
+    batchLookup?: BatchRefLookupFunction;
+}
+
+export function ref(modelschema: ClazzOrModelSchema<any>, lookupFn?: RefLookupFunction, additionalArgs?: AdditionalPropArgs): PropSchema;
+export function ref(modelschema: ClazzOrModelSchema<any>, additionalArgs?: ReferenceOptions): PropSchema;
+export function ref(identifierAttr: string, lookupFn: RefLookupFunction, additionalArgs?: AdditionalPropArgs): PropSchema;
+export function ref(identifierAttr: string, additionalArgs: ReferenceOptions): PropSchema;
+export function reference(modelschema: ClazzOrModelSchema<any>, lookupFn?: RefLookupFunction, additionalArgs?: AdditionalPropArgs): PropSchema;
+export function reference(modelschema: ClazzOrModelSchema<any>, additionalArgs?: ReferenceOptions): PropSchema;
+export function reference(identifierAttr: string, lookupFn: RefLookupFunction, additionalArgs?: AdditionalPropArgs): PropSchema;
+export function reference(identifierAttr: string, additionalArgs: ReferenceOptions): PropSchema;
+
+export interface CollectionOptions extends AdditionalPropArgs {
+    concurrency?: number;
+}
 
-export function ref(modelschema: ClazzOrModelSchema<any>, lookupFn?: RefLookupFunction): PropSchema;
-export function ref(identifierAttr: string, lookupFn: RefLookupFunction): PropSchema;
-export function reference(modelschema: ClazzOrModelSchema<any>, lookupFn?: RefLookupFunction): PropSchema;
-export function reference(identifierAttr: string, lookupFn: RefLookupFunction): PropSchema;
+export function list(propSchema: PropSchema, additionalArgs?: CollectionOptions): PropSchema;
 
-export function list(propSchema: PropSchema): PropSchema;
+export function map(propSchema: PropSchema, additionalArgs?: CollectionOptions): PropSchema;
 
-export function map(propSchema: PropSchema): PropSchema;
+export interface EnumerationOptions extends AdditionalPropArgs {
+    names?: boolean;
+    mapping?: { [jsonValue: string]: string | number | boolean | null };
+}
+
+export function enumeration(values: Array<string | number | boolean | null> | object, additionalArgs?: EnumerationOptions): PropSchema;
+
+export function literal(value: string | number | boolean | null, additionalArgs?: AdditionalPropArgs): PropSchema;
+
+export function tuple(propSchemas: PropSchema[], additionalArgs?: AdditionalPropArgs): PropSchema;
+
+export interface UnionOptions extends AdditionalPropArgs {
+    discriminate?: (value: any, context: Context | SerializationContext) => number;
+}
+
+export function union(propSchemas: PropSchema[], additionalArgs?: UnionOptions): PropSchema;
+
+export function nullable(propSchema?: PropSchema | boolean, additionalArgs?: AdditionalPropArgs): PropSchema;
+
+export function optional(propSchema?: PropSchema | boolean, additionalArgs?: AdditionalPropArgs): PropSchema;
+
+export function set(propSchema: PropSchema, additionalArgs?: CollectionOptions): PropSchema;
+
+export function mapEntries(keyPropSchema: PropSchema, valuePropSchema: PropSchema, additionalArgs?: CollectionOptions): PropSchema;
+
+export function mapAsArray(propSchema: PropSchema, keyPropertyName: string, additionalArgs?: AdditionalPropArgs): PropSchema;
+
+export interface PolymorphicOptions extends AdditionalPropArgs {
+    discriminator: string;
+    subtypes: { [type: string]: ClazzOrModelSchema<any> };
+}
 
-export function mapAsArray(propSchema: PropSchema, keyPropertyName: string): PropSchema;
+export function polymorphic(options: PolymorphicOptions): PropSchema;
 
-export function custom(serializer: (value: any) => any, deserializer: (jsonValue: any, context?: any, oldValue?: any) => any): PropSchema;
-export function custom(serializer: (value: any) => any, deserializer: (jsonValue: any, context: any, oldValue: any, callback: (err: any, result: any) => void) => any): PropSchema;
+export function custom(serializer: (value: any, key?: any, sourceObject?: any, context?: SerializationContext) => any, deserializer: (jsonValue: any, context?: any, oldValue?: any) => any, additionalArgs?: AdditionalPropArgs): PropSchema;
+export function custom(serializer: (value: any, key?: any, sourceObject?: any, context?: SerializationContext) => any, deserializer: (jsonValue: any, context: any, oldValue: any, callback: (err: any, result: any) => void) => any, additionalArgs?: AdditionalPropArgs): PropSchema;
 
 export function serializeAll<T extends Function>(clazz: T): T
 
-export function raw(): any;
+export function raw(additionalArgs?: AdditionalPropArgs): any;
 
 export const SKIP: {}
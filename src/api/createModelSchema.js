@@ -1,4 +1,4 @@
-import { invariant } from "../utils/utils"
+import { invariant, processSchemaOptions } from "../utils/utils"
 import getDefaultModelSchema from "./getDefaultModelSchema"
 import setDefaultModelSchema from "./setDefaultModelSchema"
 
@@ -23,19 +23,37 @@ import setDefaultModelSchema from "./setDefaultModelSchema"
  *
  * @param {constructor|class} clazz class or constructor function
  * @param {object} props property mapping
- * @param {function} factory optional custom factory. Receives context as first arg
+ * @param {function|object} factory optional custom factory. Receives context as first arg.
+ * Alternatively an options object can be passed, which supports the following fields:
+ * - `factory`: optional custom factory
+ * - `name`: name of the model, used for example for the entity tables of `normalize`. Defaults to the name of the class
+ * - `strict`: when `true`, deserialization fails on json properties that are not described by the schema
+ * - `undefinedProps`: how props with an `undefined` value are serialized: `"omit"` leaves them out of the json, `"null"` writes them as `null`.
+ * By default they are kept as `undefined`. Inherited by model schemas that extend this schema
+ * - `version`: version number of the schema, which is stored as `$version` in the serialized json
+ * - `migrations`: object mapping version numbers to functions `(json) => json` that migrate json from the previous version to that version.
+ * When deserializing, all migrations from the stored version (or `0`, if the json has no `$version`) up to the schema version are applied.
+ * `update` only migrates json that has a `$version`.
+ * - `beforeDeserialize(json, context)`: hook that runs before an object is deserialized, and may return a replacement json
+ * - `afterDeserialize(target, context)`: hook that runs once all props (including references) of a deserialized object are resolved
+ * - `beforeSerialize(obj, context)`: hook that runs before an object is serialized, and may return a replacement object to serialize
+ * - `afterSerialize(json, obj, context)`: hook that runs after an object is serialized, and may return a replacement json
+ *
+ * Hooks are inherited by model schemas that extend this schema, unless they define the hook themselves.
  * @returns {object} model schema
  */
 export default function createModelSchema(clazz, props, factory) {
     invariant(clazz !== Object, "one cannot simply put define a model schema for Object")
     invariant(typeof clazz === "function", "expected constructor function")
-    var model = {
+    var options = factory && typeof factory === "object" ? factory : { factory: factory }
+    invariant(!options.factory || typeof options.factory === "function", "expected factory function")
+    var model = processSchemaOptions({
         targetClass: clazz,
-        factory: factory || function() {
+        factory: options.factory || function() {
             return new clazz()
         },
         props: props
-    }
+    }, options)
   // find super model
     if (clazz.prototype.constructor !== Object) {
         var s = getDefaultModelSchema(clazz.prototype.constructor)
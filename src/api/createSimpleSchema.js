@@ -1,3 +1,5 @@
+import { processSchemaOptions } from "../utils/utils"
+
 /**
  * Creates a model schema that (de)serializes from / to plain javascript objects.
  * Its factory method is: `() => ({})`
@@ -12,13 +14,14 @@
  * var todo = deserialize(todoSchema, json);
  *
  * @param {object} props property mapping,
+ * @param {object} options optional schema options, see `createModelSchema`. `factory` is not supported.
  * @returns {object} model schema
  */
-export default function createSimpleSchema(props) {
-    return {
+export default function createSimpleSchema(props, options) {
+    return processSchemaOptions({
         factory: function() {
             return {}
         },
         props: props
-    }
+    }, options)
 }
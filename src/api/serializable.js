@@ -1,4 +1,4 @@
-import { invariant, isPropSchema } from "../utils/utils"
+import { invariant, isPropSchema, getDefaultValue } from "../utils/utils"
 import { _defaultPrimitiveProp } from "../constants"
 import primitive from "../types/primitive"
 import getDefaultModelSchema from "../api/getDefaultModelSchema"
@@ -39,6 +39,8 @@ function serializableDecorator(propSchema, target, propName, descriptor) {
                         var prop = context.modelSchema.props[key]
                         if (prop.paramNumber === i) {
                             params[i] = context.json[prop.jsonname]
+                            if ((params[i] === undefined || params[i] === null) && prop.defaultValue !== undefined)
+                                params[i] = getDefaultValue(prop)
                         }
                     })
                 }
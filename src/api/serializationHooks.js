@@ -0,0 +1,34 @@
+import { invariant, processSchemaOptions, HOOKS } from "../utils/utils"
+import getDefaultModelSchema from "./getDefaultModelSchema"
+import createModelSchema from "./createModelSchema"
+
+/**
+ * Class decorator that registers lifecycle hooks on the default model schema of the class.
+ * See `createModelSchema` for the available hooks and their signatures.
+ *
+ * @example
+ * @serializationHooks({
+ *     afterDeserialize: (todo, context) => todo.startObserving(),
+ *     afterSerialize: (json, todo) => Object.assign(json, { savedAt: Date.now() }),
+ * })
+ * class Todo {
+ *     @serializable title;
+ * }
+ *
+ * @param {object} hooks object with one or more of `beforeDeserialize`, `afterDeserialize`, `beforeSerialize` and `afterSerialize`
+ * @returns {function} class decorator
+ */
+export default function serializationHooks(hooks) {
+    invariant(hooks && typeof hooks === "object", "@serializationHooks expects an object with hooks")
+    Object.keys(hooks).forEach(function (hook) {
+        invariant(HOOKS.indexOf(hook) !== -1, "unknown hook '" + hook + "', expected one of: " + HOOKS.join(", "))
+    })
+    return function (target) {
+        invariant(typeof target === "function", "@serializationHooks can only be used as class decorator")
+        var info = getDefaultModelSchema(target)
+        if (!info || !target.hasOwnProperty("serializeInfo"))
+            info = createModelSchema(target, {})
+        processSchemaOptions(info, hooks)
+        return target
+    }
+}
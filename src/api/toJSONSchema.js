@@ -0,0 +1,212 @@
+import { invariant, isModelSchema, getIdentifierProp } from "../utils/utils"
+import getDefaultModelSchema from "./getDefaultModelSchema"
+import { _defaultPrimitiveProp } from "../constants"
+
+var PRIMITIVE_TYPES = ["string", "number", "boolean", "null"]
+var IDENTIFIER_TYPES = ["string", "number"]
+
+function nullable(jsonSchema) {
+    return { anyOf: [jsonSchema, { type: "null" }] }
+}
+
+function dateJSONSchema(propSchema) {
+    switch (propSchema.format) {
+    case "iso":
+        return { type: ["string", "null"], format: "date-time" }
+    case "isoDate":
+        return { type: ["string", "null"], format: "date" }
+    case "epochSeconds":
+        return { type: ["integer", "null"] }
+    default:
+        return { type: ["number", "null"] }
+    }
+}
+
+function Definitions(rootSchema) {
+    this.rootSchema = rootSchema
+    this.schemas = [] // [{ modelSchema, name }]
+    this.defs = {}
+}
+
+// returns a json schema that refers to the definition of the given model schema, generating the definition if needed
+Definitions.prototype.ref = function (modelSchema) {
+    modelSchema = getDefaultModelSchema(modelSchema)
+    invariant(isModelSchema(modelSchema), "expected modelSchema, got " + modelSchema)
+    if (modelSchema === this.rootSchema)
+        return { $ref: "#" }
+    for (var i = 0; i < this.schemas.length; i++)
+        if (this.schemas[i].modelSchema === modelSchema)
+            return { $ref: "#/$defs/" + this.schemas[i].name }
+    var name = this.createName(modelSchema)
+    this.schemas.push({ modelSchema: modelSchema, name: name })
+    this.defs[name] = null // reserve the name, the definition might refer to itself
+    this.defs[name] = modelJSONSchema(modelSchema, this)
+    return { $ref: "#/$defs/" + name }
+}
+
+Definitions.prototype.createName = function (modelSchema) {
+    var base = modelSchema.name || (modelSchema.targetClass && modelSchema.targetClass.name) || "Model"
+    var name = base
+    for (var i = 2; name in this.defs; i++)
+        name = base + i
+    return name
+}
+
+function identifierJSONSchema(modelSchema) {
+    modelSchema = getDefaultModelSchema(modelSchema)
+    var identifierProp = modelSchema && getIdentifierProp(modelSchema)
+    var propSchema = null
+    for (var current = modelSchema; identifierProp && current && !propSchema; current = current.extends)
+        propSchema = current.props[identifierProp]
+    return { type: (propSchema && propSchema.type === "identifier" ? IDENTIFIER_TYPES : PRIMITIVE_TYPES).concat("null") }
+}
+
+// whether the json schema allows null already
+function acceptsNull(jsonSchema) {
+    if (Array.isArray(jsonSchema.type))
+        return jsonSchema.type.indexOf("null") !== -1
+    if (jsonSchema.enum)
+        return jsonSchema.enum.indexOf(null) !== -1
+    if (jsonSchema.anyOf)
+        return jsonSchema.anyOf.some(acceptsNull)
+    return jsonSchema.type === "null" || Object.keys(jsonSchema).length === 0
+}
+
+function propJSONSchema(propSchema, definitions) {
+    if (propSchema === true)
+        propSchema = _defaultPrimitiveProp
+    var result = typeJSONSchema(propSchema, definitions)
+    return propSchema.nullable && !acceptsNull(result) ? nullable(result) : result
+}
+
+function typeJSONSchema(propSchema, definitions) {
+    switch (propSchema.type) {
+    case "primitive":
+        return { type: PRIMITIVE_TYPES }
+    case "identifier":
+        return { type: IDENTIFIER_TYPES }
+    case "date":
+        return dateJSONSchema(propSchema)
+    case "enumeration":
+        return { enum: propSchema.wireValues.concat(null) }
+    case "literal":
+        return { const: propSchema.value }
+    case "list":
+    case "mapAsArray":
+        return { type: "array", items: propJSONSchema(propSchema.propSchema, definitions) }
+    case "map":
+        return { type: "object", additionalProperties: propJSONSchema(propSchema.propSchema, definitions) }
+    case "tuple":
+        return {
+            type: ["array", "null"],
+            items: propSchema.propSchemas.map(function (itemSchema) {
+                return propJSONSchema(itemSchema, definitions)
+            }),
+            minItems: propSchema.propSchemas.length,
+            maxItems: propSchema.propSchemas.length
+        }
+    case "union":
+        return {
+            anyOf: propSchema.propSchemas.map(function (itemSchema) {
+                return propJSONSchema(itemSchema, definitions)
+            })
+        }
+    case "set":
+        return { type: "array", items: propJSONSchema(propSchema.propSchema, definitions), uniqueItems: true }
+    case "mapEntries":
+        return {
+            type: "array",
+            items: {
+                type: "array",
+                items: [propJSONSchema(propSchema.keyPropSchema, definitions), propJSONSchema(propSchema.propSchema, definitions)],
+                minItems: 2,
+                maxItems: 2
+            }
+        }
+    case "object":
+        return nullable(definitions.ref(propSchema.modelSchema))
+    case "reference":
+        return propSchema.modelSchema ? identifierJSONSchema(propSchema.modelSchema) : { type: PRIMITIVE_TYPES }
+    case "polymorphic":
+        return nullable({
+            oneOf: Object.keys(propSchema.subtypes).map(function (type) {
+                var discriminator = { type: "object", properties: {}, required: [propSchema.discriminator] }
+                discriminator.properties[propSchema.discriminator] = { const: type }
+                return { allOf: [definitions.ref(propSchema.subtypes[type]), discriminator] }
+            })
+        })
+    default:
+        // raw, custom and user defined prop schemas can contain anything
+        return {}
+    }
+}
+
+function modelJSONSchema(modelSchema, definitions) {
+    var result = { type: "object", properties: {} }
+    var required = []
+    var chain = []
+    for (var current = modelSchema; current; current = current.extends)
+        chain.unshift(current)
+    if (modelSchema.version !== undefined)
+        result.properties.$version = { const: modelSchema.version }
+    chain.forEach(function (schema) {
+        Object.keys(schema.props).forEach(function (propName) {
+            var propSchema = schema.props[propName]
+            if (propSchema === false)
+                return
+            if (propName === "*") {
+                result.additionalProperties = { type: PRIMITIVE_TYPES }
+                return
+            }
+            var jsonName = propSchema.jsonname || propName
+            result.properties[jsonName] = propJSONSchema(propSchema, definitions)
+            if (propSchema.required)
+                required.push(jsonName)
+        })
+    })
+    if (required.length > 0)
+        result.required = required
+    return result
+}
+
+/**
+ * Generates a JSON Schema (draft-07) document that describes the json produced by `serialize` for the given model schema.
+ * The json property names take aliases into account, and props of super schemas (`extends`) are included.
+ * Model schemas of nested objects are described in `$defs`, and refer to the root schema with `#`.
+ * Custom and raw prop schemas are described by the empty schema, as their json can be anything.
+ *
+ * @example
+ * createModelSchema(Todo, {
+ *     id: identifier(),
+ *     title: alias('task', primitive({ required: true })),
+ *     owner: object(User),
+ * });
+ *
+ * toJSONSchema(Todo);
+ * // {
+ * //     $schema: "http://json-schema.org/draft-07/schema#",
+ * //     type: "object",
+ * //     properties: {
+ * //         id: { type: ["string", "number"] },
+ * //         task: { type: ["string", "number", "boolean", "null"] },
+ * //         owner: { anyOf: [{ $ref: "#/$defs/User" }, { type: "null" }] }
+ * //     },
+ * //     required: ["task"],
+ * //     $defs: { User: { ... } }
+ * // }
+ *
+ * @param {ModelSchema} modelSchema model schema, or class with a default model schema
+ * @returns {object} JSON Schema document
+ */
+export default function toJSONSchema(modelSchema) {
+    modelSchema = getDefaultModelSchema(modelSchema)
+    invariant(isModelSchema(modelSchema), "expected modelSchema, got " + modelSchema)
+    var definitions = new Definitions(modelSchema)
+    var result = { $schema: "http://json-schema.org/draft-07/schema#" }
+    var root = modelJSONSchema(modelSchema, definitions)
+    for (var key in root)
+        result[key] = root[key]
+    if (definitions.schemas.length > 0)
+        result.$defs = definitions.defs
+    return result
+}
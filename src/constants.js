@@ -20,3 +20,6 @@ import primitive from "./types/primitive"
 export var SKIP = typeof Symbol !== "undefined" ? Symbol("SKIP") : { SKIP: true }
 
 export var _defaultPrimitiveProp = primitive()
+
+// keeps the ids of graph mode apart from identifier() values, which are resolved by the same root context
+export var GRAPH_ID_PREFIX = "$id:"
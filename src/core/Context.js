@@ -1,6 +1,7 @@
-import { GUARDED_NOOP, once, invariant, isAssignableTo } from "../utils/utils"
+import { GUARDED_NOOP, once, invariant, parallel, isAssignableTo, formatJsonPath, createValidationError } from "../utils/utils"
+import { GRAPH_ID_PREFIX } from "../constants"
 
-export default function Context(parentContext, modelSchema, json, onReadyCb, customArgs) {
+export default function Context(parentContext, modelSchema, json, onReadyCb, customArgs, options, refBatches) {
     this.parentContext = parentContext
     this.isRoot = !parentContext
     this.pendingCallbacks = 0
@@ -10,18 +11,53 @@ export default function Context(parentContext, modelSchema, json, onReadyCb, cus
     this.target = null
     this.hasError = false
     this.modelSchema = modelSchema
+    this.pendingProps = 0 // props of this.target that are not yet resolved
+    this.onPropsResolved = null
     if (this.isRoot) {
         this.rootContext = this
         this.args = customArgs
+        this.options = options || {}
+        this.path = [] // json path of the property that is currently being deserialized
+        this.errors = this.options.validate ? [] : null // [{ path, propSchema, value, message }]
         this.pendingRefs = {} // uuid: [{ modelSchema, uuid, cb }]
         this.resolvedRefs = {} // uuid: [{ modelSchema, value }]
+        this.callbackScope = null // the CallbackScope that tracks the callbacks that are currently being created, if any
+        this.refBatches = refBatches || null // Map of pending batched reference lookups, see `reference`. Created on demand
+        this.trials = [] // the trials of this context that are in progress, see `tryDeserialize`
+        this.parentRoot = null // for the root context of a trial, the root context that adopts its outcome
+        this.adopted = false
+        this.blocked = false // whether all pending callbacks of a trial are awaiting references
+        this.onBlocked = null
+        this.onUnblocked = null
     } else {
         this.rootContext = parentContext.rootContext
         this.args = parentContext.args
+        this.options = parentContext.options
     }
 }
 
+// counts the callbacks that are created while deserializing an item of a collection, so that it can be determined when the item,
+// including the (asynchronous) props of its nested objects, is complete. Finishes once the count drops to zero
+function CallbackScope(onFinished) {
+    this.pending = 1 // released once the item itself is deserialized
+    this.onFinished = onFinished
+}
+
+CallbackScope.prototype.hold = function () {
+    if (this.pending > 0)
+        this.pending++
+}
+
+CallbackScope.prototype.release = function () {
+    if (this.pending > 0 && --this.pending === 0)
+        this.onFinished()
+}
+
 Context.prototype.createCallback = function (fn) {
+    var rootContext = this.rootContext
+    var scope = rootContext.callbackScope
+    if (scope)
+        scope.hold()
     this.pendingCallbacks++
     // once: defend against user-land calling 'done' twice
     return once(function(err, value) {
@@ -31,36 +67,275 @@ Context.prototype.createCallback = function (fn) {
                 this.onReadyCb(err)
             }
         } else if (!this.hasError) {
-            fn(value)
-            if (--this.pendingCallbacks === this.pendingRefsCount) {
-                if (this.pendingRefsCount > 0)
-                  // all pending callbacks are pending reference resolvers. not good.
-                    this.onReadyCb(new Error(
-                      "Unresolvable references in json: \"" +
-                      Object.keys(this.pendingRefs).filter(function (uuid) {
-                          return this.pendingRefs[uuid].length > 0
-                      }, this).join("\", \"") +
-                       "\""
-                  ))
-                else
-                  this.onReadyCb(null, this.target)
+            var currentScope = rootContext.callbackScope
+            if (scope === currentScope)
+                fn(value)
+            else {
+                // callbacks created as a result of this callback belong to the same scope
+                rootContext.callbackScope = scope
+                try {
+                    fn(value)
+                } finally {
+                    rootContext.callbackScope = currentScope
+                }
             }
+            if (scope)
+                scope.release()
+            this.pendingCallbacks--
+            this.checkPending()
         }
     }.bind(this))
 }
 
+// reports the outcome once all pending callbacks are awaiting references (if any)
+Context.prototype.checkPending = function () {
+    if (this.pendingCallbacks !== this.pendingRefsCount || this.hasError)
+        return
+    if (this.pendingRefsCount > 0 && !this.parentRoot)
+        // all pending callbacks are pending reference resolvers. not good.
+        this.onReadyCb(new Error(
+            "Unresolvable references in json: \"" +
+            this.getPendingRefIds().map(function (uuid) {
+                return uuid.indexOf(GRAPH_ID_PREFIX) === 0 ? uuid.slice(GRAPH_ID_PREFIX.length) : uuid
+            }).join("\", \"") +
+            "\""
+        ))
+    else if (this.errors && this.errors.length > 0)
+        this.onReadyCb(createValidationError(this.errors))
+    else if (this.pendingRefsCount > 0) {
+        // a trial, of which the references might still be resolved by its parent root context
+        if (!this.blocked) {
+            this.blocked = true
+            this.parentRoot.pendingRefsCount++ // the blocked trial counts as a single pending reference
+            this.onBlocked()
+        }
+    } else
+        this.onReadyCb(null, this.target)
+}
+
+Context.prototype.unblock = function () {
+    if (this.blocked) {
+        this.blocked = false
+        this.parentRoot.pendingRefsCount--
+        this.onUnblocked()
+    }
+}
+
+// the identifiers that are awaited, including those of blocked trials
+Context.prototype.getPendingRefIds = function () {
+    var ids = Object.keys(this.pendingRefs).filter(function (uuid) {
+        return this.pendingRefs[uuid].length > 0
+    }, this)
+    this.trials.forEach(function (trial) {
+        if (trial.blocked)
+            trial.getPendingRefIds().forEach(function (uuid) {
+                if (ids.indexOf(uuid) === -1)
+                    ids.push(uuid)
+            })
+    })
+    return ids
+}
+
+/**
+ * Invokes `fn(done)` to deserialize an item of a collection, and invokes `callback(err, value)` once the item is complete:
+ * when `done` has been invoked, and all context callbacks that were created in the process (such as the props of nested objects
+ * that await a lookup) have been invoked as well. References to objects elsewhere in the json don't count, as those might only
+ * be deserialized once the item is complete
+ */
+Context.prototype.trackCallbacks = function (fn, callback) {
+    var rootContext = this.rootContext
+    var result
+    var scope = new CallbackScope(function () {
+        callback(null, result)
+    })
+    var currentScope = rootContext.callbackScope
+    rootContext.callbackScope = scope
+    try {
+        fn(function (err, value) {
+            if (err) {
+                scope.pending = 0 // the item failed, ignore its pending callbacks
+                return void callback(err)
+            }
+            result = value
+            scope.release()
+        })
+    } finally {
+        rootContext.callbackScope = currentScope
+    }
+}
+
+/**
+ * Invokes `fn(context, done)` to deserialize `json` in a separate root context (a trial), so that all errors that occur in the process,
+ * including those of the props of nested objects, are reported to `callback(err, value)` instead of failing this deserialization.
+ * The trial succeeds once `done` has delivered a value, and the remaining callbacks (if any) are awaiting references. References are
+ * resolved by this deserialization as well, and the identifiers registered by the trial become available to it once the trial succeeds.
+ * Errors after that point fail this deserialization as usual
+ */
+Context.prototype.tryDeserialize = function (json, fn, callback) {
+    var rootContext = this.rootContext
+    var scope = rootContext.callbackScope
+    var settled = false
+    var delivered = false
+    var complete = null // keeps this deserialization pending until a settled trial is complete
+    rootContext.refBatches = rootContext.refBatches || new Map() // the reference lookups of trials are batched together with this deserialization
+    var trial = new Context(null, this.modelSchema, json, function (err) {
+        if (!settled)
+            return void settle(err)
+        trial.detach()
+        if (complete)
+            complete(err)
+    }, rootContext.args, rootContext.options, rootContext.refBatches)
+
+    function settle(err) {
+        settled = true
+        if (err) {
+            trial.detach()
+            return void callback(err)
+        }
+        if (trial.pendingCallbacks > 0)
+            complete = rootContext.createCallback(GUARDED_NOOP)
+        else
+            trial.detach()
+        trial.adopt()
+        callback(null, trial.target)
+    }
+
+    trial.parentRoot = rootContext
+    trial.path = rootContext.path.slice()
+    trial.onBlocked = function () {
+        if (!settled && delivered)
+            return void settle(null)
+        // the referred objects might be part of an item that is started once the current item is complete, see `await`
+        if (!settled && scope)
+            scope.release()
+        rootContext.checkPending()
+    }
+    trial.onUnblocked = function () {
+        if (!settled && scope)
+            scope.hold()
+    }
+    rootContext.trials.push(trial)
+    var lock = trial.createCallback(GUARDED_NOOP)
+    var done = trial.createCallback(function (value) {
+        delivered = true
+        trial.target = value
+    })
+    try {
+        fn(trial, done)
+    } catch (e) {
+        if (settled || trial.hasError)
+            throw e
+        trial.hasError = true
+        trial.onReadyCb(e)
+    }
+    lock()
+}
+
+// stops passing the resolved references of the parent root context on to a trial
+Context.prototype.detach = function () {
+    var trials = this.parentRoot.trials
+    if (trials.indexOf(this) !== -1)
+        trials.splice(trials.indexOf(this), 1)
+    this.unblock()
+}
+
+// hands the identifiers registered by a trial over to its parent root context, see `tryDeserialize`
+Context.prototype.adopt = function () {
+    var resolvedRefs = this.resolvedRefs
+    this.adopted = true
+    Object.keys(resolvedRefs).forEach(function (uuid) {
+        resolvedRefs[uuid].forEach(function (resolved) {
+            this.parentRoot.resolve(resolved.modelSchema, uuid, resolved.value)
+        }, this)
+    }, this)
+}
+
+/**
+ * Deserializes the items of a collection using `parallel`. With limited concurrency, an item is in progress until it is complete
+ * (see `trackCallbacks`), so that the limit applies to the lookups of nested objects as well.
+ * The processor is invoked at the json path of the collection, also when an item is started later on
+ */
+Context.prototype.parallel = function (ar, processor, cb, concurrency) {
+    if (!concurrency)
+        return void parallel(ar, processor, cb)
+    var context = this
+    var rootContext = this.rootContext
+    var path = rootContext.path.slice()
+    parallel(ar, function (item, itemDone, idx) {
+        var currentPath = rootContext.path
+        rootContext.path = path
+        try {
+            context.trackCallbacks(function (done) {
+                processor(item, done, idx)
+            }, itemDone)
+        } finally {
+            rootContext.path = currentPath
+        }
+    }, cb, concurrency)
+}
+
+// like createCallback, but also tracks whether all props of the target of this context have been resolved
+Context.prototype.createPropCallback = function (fn) {
+    if (!this.onPropsResolved)
+        return this.rootContext.createCallback(fn) // nobody is waiting for the props
+    var context = this
+    this.pendingProps++
+    return this.rootContext.createCallback(function (value) {
+        fn(value)
+        context.resolveProp()
+    })
+}
+
+Context.prototype.resolveProp = function () {
+    if (--this.pendingProps === 0 && this.onPropsResolved)
+        this.onPropsResolved()
+}
+
+// in validation mode, records a problem found at the given json path instead of failing directly
+Context.prototype.addError = function (path, propSchema, value, error) {
+    invariant(this.isRoot)
+    this.errors.push({
+        path: formatJsonPath(path),
+        propSchema: propSchema,
+        value: value,
+        message: String(error && error.message || error).replace(/^\[serializr\] /, "")
+    })
+}
+
+// wraps a deserializer callback so that, in validation mode, errors are collected together with the current
+// json path and deserialization continues as if `fallbackValue` was deserialized. Returns the callback as is otherwise
+Context.prototype.catchErrors = function (propSchema, jsonValue, callback, fallbackValue) {
+    var rootContext = this.rootContext
+    if (!rootContext.errors)
+        return callback
+    var path = rootContext.path.slice()
+    return function (err, value) {
+        if (err) {
+            rootContext.addError(path, propSchema, jsonValue, err)
+            callback(null, fallbackValue)
+        } else
+            callback(null, value)
+    }
+}
+
 // given an object with uuid, modelSchema, callback, awaits until the given uuid is available
 // resolve immediately if possible
 Context.prototype.await = function (modelSchema, uuid, callback) {
     invariant(this.isRoot)
-    if (uuid in this.resolvedRefs) {
-        var match = this.resolvedRefs[uuid].filter(function (resolved) {
-            return isAssignableTo(resolved.modelSchema, modelSchema)
-        })[0]
-        if (match)
-            return void callback(null, match.value)
-    }
+    var match = this.findResolved(modelSchema, uuid)
+    if (match)
+        return void callback(null, match.value)
     this.pendingRefsCount++
+    var scope = this.callbackScope
+    if (scope) {
+        // the referred object might be part of an item that is started once the current item is complete
+        scope.release()
+        var awaitingCallback = callback
+        callback = function (err, value) {
+            scope.hold() // balances the release by the callback itself
+            awaitingCallback(err, value)
+        }
+    }
     if (!this.pendingRefs[uuid])
         this.pendingRefs[uuid] = []
     this.pendingRefs[uuid].push({
@@ -70,22 +345,43 @@ Context.prototype.await = function (modelSchema, uuid, callback) {
     })
 }
 
+// finds a registered object, including those registered with the parent root context of a trial
+Context.prototype.findResolved = function (modelSchema, uuid) {
+    var match = uuid in this.resolvedRefs && this.resolvedRefs[uuid].filter(function (resolved) {
+        return isAssignableTo(resolved.modelSchema, modelSchema)
+    })[0]
+    if (match)
+        return match
+    return this.parentRoot ? this.parentRoot.findResolved(modelSchema, uuid) : undefined
+}
+
 // given a model schema, uuid and value, resolve all references that where looking for this object
 Context.prototype.resolve = function(modelSchema, uuid, value) {
     invariant(this.isRoot)
+    if (this.adopted)
+        return void this.parentRoot.resolve(modelSchema, uuid, value)
     if (!this.resolvedRefs[uuid])
         this.resolvedRefs[uuid] = []
     this.resolvedRefs[uuid].push({
         modelSchema: modelSchema, value: value
     })
+    this.resolvePending(modelSchema, uuid, value)
+}
+
+// resolves the references that are looking for the given object, including those of the trials of this context
+Context.prototype.resolvePending = function (modelSchema, uuid, value) {
     if (uuid in this.pendingRefs) {
         for (var i = this.pendingRefs[uuid].length - 1; i >= 0; i--) {
             var opts = this.pendingRefs[uuid][i]
             if (isAssignableTo(modelSchema, opts.modelSchema)) {
                 this.pendingRefs[uuid].splice(i, 1)
                 this.pendingRefsCount--
+                this.unblock()
                 opts.callback(null, value)
             }
         }
     }
-}
\ No newline at end of file
+    this.trials.slice().forEach(function (trial) {
+        trial.resolvePending(modelSchema, uuid, value)
+    })
+}
@@ -0,0 +1,96 @@
+import { invariant, isModelSchema, isAssignableTo } from "../utils/utils"
+import getDefaultModelSchema from "../api/getDefaultModelSchema"
+
+function resolveSchema(modelSchema) {
+    modelSchema = getDefaultModelSchema(modelSchema)
+    invariant(isModelSchema(modelSchema), "expected modelSchema, got " + modelSchema)
+    return modelSchema
+}
+
+/**
+ * An identity map keeps track of deserialized instances by model schema and identifier, across `deserialize` and `update` calls.
+ * Pass it as the `identityMap` option when deserializing:
+ * - `identifier()` props register the instances they are deserialized for
+ * - `reference()` props are resolved against the instances in the identity map, before using the lookup function
+ * - objects with an identifier that is already known are not created again, but the known instance is updated in place
+ *
+ * Instances are looked up for a model schema, or any of its sub schemas (see `extends`).
+ *
+ * @example
+ * const identityMap = new IdentityMap()
+ *
+ * const todo = deserialize(Todo, { id: 1, title: "a" }, null, null, { identityMap })
+ * const same = deserialize(Todo, { id: 1, done: true }, null, null, { identityMap })
+ * // same === todo, todo.title === "a", todo.done === true
+ * identityMap.get(Todo, 1) // todo
+ */
+export default function IdentityMap() {
+    this.entries = new Map() // id: [{ modelSchema, value }]
+}
+
+/**
+ * Returns the instance that is registered for the model schema (or one of its sub schemas) and identifier, or `undefined`
+ *
+ * @param {ModelSchema} modelSchema model schema, or class with a default model schema
+ * @param {*} id identifier
+ * @returns {object} the registered instance
+ */
+IdentityMap.prototype.get = function (modelSchema, id) {
+    modelSchema = resolveSchema(modelSchema)
+    var entries = this.entries.get(id) || []
+    for (var i = 0; i < entries.length; i++)
+        if (isAssignableTo(entries[i].modelSchema, modelSchema))
+            return entries[i].value
+    return undefined
+}
+
+/**
+ * Returns true if an instance is registered for the model schema (or one of its sub schemas) and identifier
+ *
+ * @param {ModelSchema} modelSchema model schema, or class with a default model schema
+ * @param {*} id identifier
+ * @returns {boolean}
+ */
+IdentityMap.prototype.has = function (modelSchema, id) {
+    return this.get(modelSchema, id) !== undefined
+}
+
+/**
+ * Registers an instance for the model schema and identifier, replacing the instance registered for the same model schema
+ *
+ * @param {ModelSchema} modelSchema model schema, or class with a default model schema
+ * @param {*} id identifier
+ * @param {object} value the instance
+ */
+IdentityMap.prototype.set = function (modelSchema, id, value) {
+    modelSchema = resolveSchema(modelSchema)
+    var entries = (this.entries.get(id) || []).filter(function (entry) {
+        return entry.modelSchema !== modelSchema
+    })
+    entries.push({ modelSchema: modelSchema, value: value })
+    this.entries.set(id, entries)
+}
+
+/**
+ * Removes the instance registered for the model schema (or one of its sub schemas) and identifier
+ *
+ * @param {ModelSchema} modelSchema model schema, or class with a default model schema
+ * @param {*} id identifier
+ */
+IdentityMap.prototype.delete = function (modelSchema, id) {
+    modelSchema = resolveSchema(modelSchema)
+    var entries = (this.entries.get(id) || []).filter(function (entry) {
+        return !isAssignableTo(entry.modelSchema, modelSchema)
+    })
+    if (entries.length > 0)
+        this.entries.set(id, entries)
+    else
+        this.entries.delete(id)
+}
+
+/**
+ * Removes all registered instances
+ */
+IdentityMap.prototype.clear = function () {
+    this.entries.clear()
+}
@@ -0,0 +1,132 @@
+/*
+ * Compilation of model schemas
+ */
+
+import { invariant, isModelSchema, getIdentifierProp, getSchemaHook, INHERITED_OPTIONS } from "../utils/utils"
+import getDefaultModelSchema from "../api/getDefaultModelSchema"
+import { _defaultPrimitiveProp } from "../constants"
+
+/**
+ * Creates the flat list of props of the model schema and its super schemas, in the order in which they are processed:
+ * props of super schemas first. Star props are included as `{ propName: "*", schema }`, as only the props of the schema
+ * that declares them are excluded. Further the identifier prop and the options and hooks that are inherited from super schemas are resolved
+ */
+export function createPlan(modelSchema) {
+    var props = []
+    walkProps(modelSchema, function (propName, propSchema, jsonName, schema) {
+        props.push({ propName: propName, propSchema: propSchema, jsonName: jsonName, schema: schema })
+    })
+    var hooks = {}
+    INHERITED_OPTIONS.forEach(function (hook) {
+        hooks[hook] = getSchemaHook(modelSchema, hook)
+    })
+    return {
+        props: props,
+        identifierProp: getIdentifierProp(modelSchema),
+        hooks: hooks
+    }
+}
+
+/**
+ * Invokes `fn(propName, propSchema, jsonName, schema)` for every prop of the model schema and its super schemas, super schemas first.
+ * `true` shorthands are resolved and `false` props are left out. `schema` is the (super) schema that declares the prop.
+ * Uses the plan of compiled schemas, and walks the props of the schemas otherwise
+ */
+export function forEachProp(modelSchema, fn) {
+    if (!modelSchema.compiled)
+        return void walkProps(modelSchema, fn)
+    var props = modelSchema.compiled.props
+    for (var i = 0; i < props.length; i++) {
+        var prop = props[i]
+        fn(prop.propName, prop.propSchema, prop.jsonName, prop.schema)
+    }
+}
+
+function walkProps(modelSchema, fn) {
+    if (modelSchema.extends)
+        walkProps(modelSchema.extends, fn)
+    var propNames = Object.keys(modelSchema.props)
+    for (var i = 0; i < propNames.length; i++) {
+        var propName = propNames[i]
+        var propSchema = modelSchema.props[propName]
+        if (propName === "*") {
+            invariant(propSchema === true, "prop schema '*' can onle be used with 'true'")
+            fn(propName, propSchema, propName, modelSchema)
+            continue
+        }
+        if (propSchema === true)
+            propSchema = _defaultPrimitiveProp
+        if (propSchema !== false)
+            fn(propName, propSchema, propSchema.jsonname || propName, modelSchema)
+    }
+}
+
+// collects the model schemas that are (de)serialized as part of the given prop schema
+function collectModelSchemas(propSchema, result) {
+    switch (propSchema.type) {
+    case "object":
+        result.push(propSchema.modelSchema)
+        break
+    case "polymorphic":
+        Object.keys(propSchema.subtypes).forEach(function (type) {
+            result.push(propSchema.subtypes[type])
+        })
+        break
+    case "tuple":
+    case "union":
+        propSchema.propSchemas.forEach(function (itemSchema) {
+            collectModelSchemas(itemSchema, result)
+        })
+        break
+    case "mapEntries":
+        collectModelSchemas(propSchema.keyPropSchema, result)
+        collectModelSchemas(propSchema.propSchema, result)
+        break
+    case "list":
+    case "map":
+    case "mapAsArray":
+    case "set":
+        collectModelSchemas(propSchema.propSchema, result)
+        break
+    }
+    return result
+}
+
+/**
+ * Precomputes how objects of the model schema are (de)serialized, which speeds up `serialize`, `deserialize` and `update`
+ * when many objects are processed. The model schemas of nested objects (`object`, `polymorphic`, and lists and maps of them)
+ * and super schemas are compiled as well.
+ *
+ * A compiled model schema doesn't pick up changes that are made to it, or to its super schemas, afterwards.
+ * So compile a model schema once it is complete, and compile it again after changing it.
+ *
+ * @example
+ * createModelSchema(Row, { id: identifier(), cells: list(object(Cell)) })
+ * compile(Row)
+ * serialize(rows)
+ *
+ * @param {ModelSchema} modelSchema model schema, or class with a default model schema
+ * @returns {ModelSchema} the compiled model schema
+ */
+export default function compile(modelSchema) {
+    modelSchema = getDefaultModelSchema(modelSchema)
+    invariant(isModelSchema(modelSchema), "expected modelSchema, got " + modelSchema)
+    var pending = [modelSchema]
+    var compiled = []
+    while (pending.length > 0) {
+        var schema = getDefaultModelSchema(pending.pop())
+        // classes of nested objects might not have a model schema yet
+        if (!isModelSchema(schema) || compiled.indexOf(schema) !== -1)
+            continue
+        compiled.push(schema)
+        schema.compiled = null // recompile from the current props
+        schema.compiled = createPlan(schema)
+        if (schema.extends)
+            pending.push(schema.extends)
+        schema.compiled.props.forEach(function (prop) {
+            if (prop.propName !== "*")
+                collectModelSchemas(prop.propSchema, pending)
+        })
+    }
+    return modelSchema
+}
@@ -1,10 +1,11 @@
 /*
  * Deserialization
  */
-import { invariant, isPrimitive, isModelSchema, parallel, GUARDED_NOOP } from "../utils/utils"
+import { invariant, isPrimitive, isModelSchema, parallel, GUARDED_NOOP, createValidationError, getDefaultValue, omitProp, getSchemaHook, getIdentifierJsonName } from "../utils/utils"
 import getDefaultModelSchema from "../api/getDefaultModelSchema"
-import { SKIP, _defaultPrimitiveProp } from "../constants"
+import { SKIP, GRAPH_ID_PREFIX } from "../constants"
 import Context from "./Context"
+import { forEachProp } from "./compile"
 
 function schemaHasAlias(schema, name) {
     for (var key in schema.props)
@@ -13,15 +14,135 @@ function schemaHasAlias(schema, name) {
     return false
 }
 
-function deserializeStarProps(schema, obj, json) {
+function deserializeStarProps(context, schema, obj, json) {
     for (var key in json) if (!(key in schema.props) && !schemaHasAlias(schema, key)) {
         var value = json[key]
+        if (context.rootContext.errors && !isPrimitive(value)) {
+            context.rootContext.addError(context.rootContext.path.concat(key), true, value, "encountered non primitive value while deserializing '*' properties")
+            continue
+        }
         // when deserializing we don't want to silently ignore 'unparseable data' to avoid confusing bugs
         invariant(isPrimitive(value), "encountered non primitive value while deserializing '*' properties in property '" + key + "': " + value)
         obj[key] = value
     }
 }
 
+function getUnknownJsonProps(schema, json) {
+    var known = {}
+    for (var current = schema; current; current = current.extends)
+        for (var propName in current.props) {
+            if (propName === "*")
+                return []
+            var propDef = current.props[propName]
+            known[(typeof propDef === "object" && propDef.jsonname) || propName] = true
+        }
+    return Object.keys(json).filter(function (key) {
+        return !known[key]
+    })
+}
+
+/**
+ * For versioned schemas, verifies that the `$version` of the json is valid, and that the json was not produced by a newer version of the schema.
+ */
+export function checkJsonVersion(schema, json) {
+    if (schema.version === undefined || !("$version" in json))
+        return null
+    if (typeof json.$version !== "number" || json.$version < 0 || json.$version % 1 !== 0)
+        return "[serializr] invalid $version in json: " + JSON.stringify(json.$version) + ", expected a non-negative integer"
+    if (json.$version > schema.version)
+        return "[serializr] cannot deserialize json with version " + json.$version + ", the schema has version " + schema.version
+    return null
+}
+
+/**
+ * For versioned schemas, runs the json through all migrations from its stored `$version` (`0` when absent) up to the version of the schema.
+ * The `$version` field is not part of the returned json.
+ */
+export function migrateJson(schema, json) {
+    if (schema.version === undefined)
+        return json
+    var version = "$version" in json ? json.$version : 0
+    json = omitProp(json, "$version")
+    for (var nextVersion = version + 1; nextVersion <= schema.version; nextVersion++)
+        if (schema.migrations && schema.migrations[nextVersion])
+            json = schema.migrations[nextVersion](json)
+    return json
+}
+
+/**
+ * Runs the `beforeDeserialize` hook of the schema, which might replace the json of the context.
+ */
+export function runBeforeDeserialize(context, schema) {
+    var beforeDeserialize = getSchemaHook(schema, "beforeDeserialize")
+    if (beforeDeserialize) {
+        var json = beforeDeserialize(context.json, context)
+        if (json !== undefined)
+            context.json = json
+    }
+    return context.json
+}
+
+/**
+ * Deserializes the props of `context.target`, and runs the `afterDeserialize` hook once they are all resolved.
+ * Required props and default values are only applied to new targets, existing targets keep the props that are absent in the json.
+ */
+export function deserializeTargetWithSchema(context, schema, json, isNewTarget) {
+    var afterDeserialize = getSchemaHook(schema, "afterDeserialize")
+    if (afterDeserialize)
+        context.onPropsResolved = function () {
+            afterDeserialize(context.target, context)
+        }
+    var lock = context.createCallback(GUARDED_NOOP)
+    context.pendingProps++ // lock, such that the hook doesn't fire while the props are being processed
+    deserializePropsWithSchema(context, schema, json, context.target, isNewTarget)
+    context.resolveProp()
+    lock()
+}
+
+/**
+ * In graph mode, registers the target of the context under the `$id` of its json, so that `$ref`s can be resolved to it.
+ */
+export function registerGraphId(context, graphId) {
+    if (graphId !== undefined && graphId !== null)
+        context.rootContext.resolve(context.modelSchema, GRAPH_ID_PREFIX + graphId, context.target)
+}
+
+/**
+ * In strict mode, verifies that json doesn't contain properties that are not described by the schema (or its super schemas).
+ * In validation mode, the unknown properties are recorded as problems, otherwise an error is returned.
+ */
+export function checkStrictProps(context, schema, json) {
+    var strict = context.options.strict === undefined ? schema.strict : context.options.strict
+    if (!strict || !json || typeof json !== "object")
+        return null
+    var unknownProps = getUnknownJsonProps(schema, json)
+    if (unknownProps.length === 0)
+        return null
+    var rootContext = context.rootContext
+    if (rootContext.errors) {
+        unknownProps.forEach(function (key) {
+            rootContext.addError(rootContext.path.concat(key), undefined, json[key], "unknown property in strict mode")
+        })
+        return null
+    }
+    var error = new Error("[serializr] unknown properties in json: \"" + unknownProps.join("\", \"") + "\"")
+    error.unknownProps = unknownProps
+    return error
+}
+
+function prefixValidationErrors(index, callback, errors) {
+    return function (err, value) {
+        if (err && err.errors) {
+            err.errors.forEach(function (problem) {
+                problem.path = "[" + index + "]" + (problem.path && problem.path.charAt(0) !== "[" ? "." : "") + problem.path
+                errors.push(problem)
+            })
+            callback(null, null)
+        } else
+            callback(err, value)
+    }
+}
+
 /**
  * Deserializes a json structor into an object graph.
  * This process might be asynchronous (for example if there are references with an asynchronous
@@ -33,72 +154,199 @@ function deserializeStarProps(schema, obj, json) {
  * @param {function} callback node style callback that is invoked once the deserializaiton has finished.
  * First argument is the optional error, second argument is the deserialized object (same as the return value)
  * @param {*} customArgs custom arguments that are available as `context.args` during the deserialization process. This can be used as dependency injection mechanism to pass in, for example, stores.
+ * @param {object} options optional deserialization options:
+ * - `validate`: when `true`, deserialization doesn't stop at the first problem but collects all of them. The callback then receives an error with an `errors` array,
+ * in which each problem is described as `{ path, propSchema, value, message }`, `path` being the json path at which the problem occurred (for example `items[3].owner.id`)
+ * - `strict`: when `true`, deserialization fails if the json contains properties that are not described by the model schema (taking aliases and super schemas into account).
+ * Overrides the `strict` option of the individual model schemas
+ * - `graph`: when `true`, restores shared and cyclic references from json that was serialized in graph mode (see `serialize`):
+ * objects marked with `$id` are registered, and `{ "$ref": id }` objects are resolved to them
+ * - `identityMap`: an `IdentityMap` that keeps track of instances across deserialize calls. Known instances are updated in place
+ * instead of being created again, and references are resolved against it
+ * - `concurrency`: the maximum number of items of an array that is deserialized at the same time. An item is in progress until its
+ * (asynchronous) references have been resolved, including the references of its nested objects, so this limits the number of pending lookups.
+ * Applies to the top level array, and is the default for `list`, `map` and `mapEntries` props
  * @returns {object|array} deserialized object, possibly incomplete.
  */
-export default function deserialize(schema, json, callback, customArgs) {
+export default function deserialize(schema, json, callback, customArgs, options) {
     invariant(arguments.length >= 2, "deserialize expects at least 2 arguments")
     schema = getDefaultModelSchema(schema)
     invariant(isModelSchema(schema), "first argument should be model schema")
+    callback = callback || GUARDED_NOOP
+    if (Array.isArray(json) && options && options.graph)
+        return deserializeGraphArray(schema, json, callback, customArgs, options)
     if (Array.isArray(json)) {
         var items = []
+        var errors = options && options.validate ? [] : null
+        var refBatches = new Map() // the reference lookups of all items are batched together
         parallel(
             json,
-            function (childJson, itemDone) {
-                var instance = deserializeObjectWithSchema(null, schema, childJson, itemDone, customArgs)
+            function (childJson, itemDone, idx) {
+                if (errors)
+                    itemDone = prefixValidationErrors(idx, itemDone, errors)
+                var instance = deserializeIntoTarget(null, schema, null, childJson, itemDone, customArgs, options, refBatches)
                 // instance is created synchronously so can be pushed
                 items.push(instance)
             },
-            callback || GUARDED_NOOP
+            function (err, result) {
+                if (!err && errors && errors.length > 0)
+                    callback(createValidationError(errors))
+                else
+                    callback(err, result)
+            },
+            options && options.concurrency
         )
         return items
     } else
-  return deserializeObjectWithSchema(null, schema, json, callback, customArgs)
+  return deserializeObjectWithSchema(null, schema, json, callback, customArgs, options)
+}
+
+// in graph mode, the items of an array can refer to each other, so they share a single root context
+function deserializeGraphArray(schema, json, callback, customArgs, options) {
+    var items = []
+    var rootContext = new Context(null, schema, json, callback, customArgs, options)
+    rootContext.target = items
+    var lock = rootContext.createCallback(GUARDED_NOOP)
+    json.forEach(function (childJson, idx) {
+        rootContext.path.push(idx)
+        // the item is assigned by the callback, which is invoked synchronously unless the item is a pending $ref
+        deserializeObjectWithSchema(rootContext, schema, childJson, rootContext.createCallback(function (value) {
+            items[idx] = value
+        }))
+        rootContext.path.pop()
+    })
+    lock()
+    return items
+}
+
+/**
+ * Promise based variant of `deserialize`. Instead of accepting a callback, it returns a promise
+ * that resolves to the fully deserialized object (or array of objects) once all (asynchronous)
+ * references have been resolved, and rejects with the first error that occurred during deserialization.
+ *
+ * @example
+ * const post = await deserializeAsync(Post, json, { store })
+ *
+ * @param {object|array} schema to use for deserialization
+ * @param {json} json data to deserialize
+ * @param {*} customArgs custom arguments that are available as `context.args` during the deserialization process.
+ * @param {object} options optional deserialization options, see `deserialize`
+ * @returns {Promise} promise for the deserialized object
+ */
+export function deserializeAsync(schema, json, customArgs, options) {
+    invariant(arguments.length >= 2, "deserializeAsync expects at least 2 arguments")
+    return new Promise(function (resolve, reject) {
+        deserialize(schema, json, function (err, result) {
+            if (err)
+                reject(err)
+            else
+                resolve(result)
+        }, customArgs, options)
+    })
 }
 
-export function deserializeObjectWithSchema(parentContext, schema, json, callback, customArgs) {
+export function deserializeObjectWithSchema(parentContext, schema, json, callback, customArgs, options) {
+    return deserializeIntoTarget(parentContext, schema, null, json, callback, customArgs, options)
+}
+
+/**
+ * Like deserializeObjectWithSchema, but updates the given target instead of creating a new object using the factory of the schema.
+ */
+export function updateObjectWithSchema(parentContext, schema, target, json, callback, customArgs, options) {
+    return deserializeIntoTarget(parentContext, schema, target, json, callback, customArgs, options)
+}
+
+function deserializeIntoTarget(parentContext, schema, target, json, callback, customArgs, options, refBatches) {
     if (json === null || json === undefined)
         return void callback(null, null)
-    var context = new Context(parentContext, schema, json, callback, customArgs)
-    var target = schema.factory(context)
-    // todo async invariant
-    invariant(!!target, "No object returned from factory")
+    if (typeof json !== "object")
+        return void callback("[serializr] expected JSON object, got: " + JSON.stringify(json))
+    var graphId
+    if ((parentContext ? parentContext.options : options || {}).graph) {
+        if ("$ref" in json) {
+            invariant(!!parentContext, "a $ref cannot be resolved at the root of the json")
+            return void parentContext.rootContext.await(schema, GRAPH_ID_PREFIX + json.$ref, callback)
+        }
+        graphId = json.$id
+        json = omitProp(json, "$id")
+    }
+    var versionError = checkJsonVersion(schema, json)
+    if (versionError)
+        return void callback(versionError)
+    json = migrateJson(schema, json)
+    var context = new Context(parentContext, schema, json, callback, customArgs, options, refBatches)
+    json = runBeforeDeserialize(context, schema)
+    var strictError = checkStrictProps(context, schema, json)
+    if (strictError)
+        return void callback(strictError)
+    if (!target && context.options.identityMap)
+        target = findKnownInstance(context.options.identityMap, schema, json)
+    var isNewTarget = !target
+    if (!target) {
+        target = schema.factory(context)
+        // todo async invariant
+        invariant(!!target, "No object returned from factory")
+    }
     // TODO: make invariant?            invariant(schema.extends || !target.constructor.prototype.constructor.serializeInfo, "object has a serializable supertype, but modelschema did not provide extends clause")
     context.target = target
-    var lock = context.createCallback(GUARDED_NOOP)
-    deserializePropsWithSchema(context, schema, json, target)
-    lock()
+    registerGraphId(context, graphId)
+    deserializeTargetWithSchema(context, schema, json, isNewTarget)
     return target
 }
 
-export function deserializePropsWithSchema(context, schema, json, target) {
-    if (schema.extends)
-        deserializePropsWithSchema(context, schema.extends, json, target)
-    Object.keys(schema.props).forEach(function (propName) {
-        var propDef = schema.props[propName]
+// returns the instance that is known in the identity map for the identifier in the json, if any
+function findKnownInstance(identityMap, schema, json) {
+    var jsonName = getIdentifierJsonName(schema)
+    if (!jsonName || json[jsonName] === null || json[jsonName] === undefined)
+        return undefined
+    return identityMap.get(schema, json[jsonName])
+}
+
+export function deserializePropsWithSchema(context, schema, json, target, isNewTarget) {
+    forEachProp(schema, function (propName, propDef, jsonAttr, declaringSchema) {
         if (propName === "*") {
-            invariant(propDef === true, "prop schema '*' can onle be used with 'true'")
-            deserializeStarProps(schema, target, json)
+            deserializeStarProps(context, declaringSchema, target, json)
             return
         }
-        if (propDef === true)
-            propDef = _defaultPrimitiveProp
-        if (propDef === false)
+        var rootContext = context.rootContext
+        if (!isNewTarget && !(jsonAttr in json))
+            return // props of existing targets are kept as is
+        if (!(jsonAttr in json) && propDef.required) {
+            rootContext.path.push(jsonAttr)
+            context.catchErrors(propDef, undefined, rootContext.createCallback(function () {}), SKIP)(
+                "[serializr] required property '" + jsonAttr + "' is missing"
+            )
+            rootContext.path.pop()
             return
-        var jsonAttr = propDef.jsonname || propName
-        if (!(jsonAttr in json))
+        }
+        if (!(jsonAttr in json) || (isNewTarget && json[jsonAttr] === null && propDef.defaultValue !== undefined)) {
+            if (propDef.defaultValue !== undefined)
+                target[propName] = getDefaultValue(propDef)
             return
-        propDef.deserializer(
-            json[jsonAttr],
-            // for individual props, use root context based callbacks
-            // this allows props to complete after completing the object itself
-            // enabling reference resolving and such
-            context.rootContext.createCallback(function (value) {
-                if (value !== SKIP){
-                    target[propName] = value
-                }
-            }),
-            context,
-            target[propName] // initial value
-        )
+        }
+        rootContext.path.push(jsonAttr)
+        // for individual props, use root context based callbacks
+        // this allows props to complete after completing the object itself
+        // enabling reference resolving and such
+        var done = context.catchErrors(propDef, json[jsonAttr], context.createPropCallback(function (value) {
+            if (value !== SKIP){
+                target[propName] = value
+            }
+        }), SKIP)
+        try {
+            propDef.deserializer(
+                json[jsonAttr],
+                done,
+                context,
+                target[propName] // initial value
+            )
+        } catch (e) {
+            // in validation mode, invariants thrown by prop schemas are reported as problems as well
+            if (!rootContext.errors)
+                throw e
+            done(e)
+        } finally {
+            rootContext.path.pop()
+        }
     })
 }
@@ -0,0 +1,104 @@
+/*
+ * Diff
+ */
+
+import { invariant, isModelSchema, isPrimitive, getIdentifierProp, jsonEquals } from "../utils/utils"
+import getDefaultModelSchema from "../api/getDefaultModelSchema"
+import { SerializationContext } from "./serialize"
+import { SKIP, _defaultPrimitiveProp } from "../constants"
+
+/**
+ * Computes the props that changed between two states of an object, in their serialized form.
+ * The model schema is walked the same way as `serialize` does: the result holds the json of the props (using their json names)
+ * whose serialized values differ. Children of `object` props are diffed recursively, as long as both states hold the same child
+ * (same model and identifier), otherwise the complete child is included. As `reference` props serialize to the identifier of the
+ * referred object, they are compared by identifier. Other props, like lists and maps, are included entirely when they changed.
+ *
+ * The result is an empty object if nothing changed, and can be sent as a partial update, for example with `update`.
+ *
+ * @example
+ * const before = Object.assign(new Todo(), todo)
+ * todo.title = "new title"
+ * diff(Todo, before, todo)
+ * // { title: "new title" }
+ *
+ * @param {ModelSchema} modelSchema model schema to use. Optional, inferred from `after` if omitted
+ * @param {object} before the original state of the object
+ * @param {object} after the new state of the object
+ * @returns {object} the changed props, in json form
+ */
+export default function diff(modelSchema, before, after) {
+    invariant(arguments.length === 2 || arguments.length === 3, "diff expects 2 or 3 arguments")
+    if (arguments.length === 2) {
+        after = arguments[1]
+        before = arguments[0]
+        modelSchema = getDefaultModelSchema(after)
+    } else
+        modelSchema = getDefaultModelSchema(modelSchema)
+    invariant(isModelSchema(modelSchema), "diff failed to determine schema")
+    invariant(before && typeof before === "object" && after && typeof after === "object", "diff expects two objects")
+    return diffWithSchema(modelSchema, before, after, new SerializationContext())
+}
+
+export function diffWithSchema(schema, before, after, context) {
+    var res = {}
+    walkChanges(schema, before, after, context, [], function (path, jsonBefore, jsonAfter) {
+        var parent = res
+        for (var i = 0; i < path.length - 1; i++)
+            parent = parent[path[i]] = parent[path[i]] || {}
+        parent[path[path.length - 1]] = jsonAfter
+    })
+    return res
+}
+
+/**
+ * Walks the props of the model schema, and invokes `onChange(path, jsonBefore, jsonAfter)` for every prop of which the serialized value changed.
+ * `path` holds the json names leading to the prop, as children of `object` props are walked recursively if both states hold the same child.
+ */
+export function walkChanges(schema, before, after, context, path, onChange) {
+    if (schema.extends)
+        walkChanges(schema.extends, before, after, context, path, onChange)
+    Object.keys(schema.props).forEach(function (key) {
+        var propDef = schema.props[key]
+        if (key === "*") {
+            walkStarProps(schema, before, after, path, onChange)
+            return
+        }
+        if (propDef === true)
+            propDef = _defaultPrimitiveProp
+        if (propDef === false)
+            return
+        var propPath = path.concat(propDef.jsonname || key)
+        if (propDef.type === "object" && isSameObject(propDef, before[key], after[key])) {
+            walkChanges(getDefaultModelSchema(propDef.modelSchema), before[key], after[key], context, propPath, onChange)
+            return
+        }
+        var jsonAfter = propDef.serializer(after[key], key, after, context)
+        var jsonBefore = propDef.serializer(before[key], key, before, context)
+        if (jsonAfter !== SKIP && !jsonEquals(jsonBefore === SKIP ? undefined : jsonBefore, jsonAfter))
+            onChange(propPath, jsonBefore === SKIP ? undefined : jsonBefore, jsonAfter)
+    })
+}
+
+// both values represent the same child object, so that they can be diffed prop by prop
+function isSameObject(propSchema, before, after) {
+    if (!before || !after || typeof before !== "object" || typeof after !== "object")
+        return false
+    var modelSchema = getDefaultModelSchema(propSchema.modelSchema)
+    if (getDefaultModelSchema(before) !== getDefaultModelSchema(after))
+        return false
+    var identifierProp = getIdentifierProp(modelSchema)
+    return !identifierProp || before[identifierProp] === after[identifierProp]
+}
+
+function walkStarProps(schema, before, after, path, onChange) {
+    var key
+    for (key in before) if (before.hasOwnProperty(key) && !after.hasOwnProperty(key)) if (!(key in schema.props))
+        if (isPrimitive(before[key]))
+            onChange(path.concat(key), before[key], undefined)
+    for (key in after) if (after.hasOwnProperty(key)) if (!(key in schema.props)) {
+        var value = after[key]
+        if (isPrimitive(value) && value !== before[key])
+            onChange(path.concat(key), isPrimitive(before[key]) ? before[key] : undefined, value)
+    }
+}
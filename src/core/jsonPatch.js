@@ -0,0 +1,286 @@
+/*
+ * JSON Patch (RFC 6902)
+ */
+
+import { invariant, isModelSchema, isPrimitive, jsonEquals, GUARDED_NOOP } from "../utils/utils"
+import getDefaultModelSchema from "../api/getDefaultModelSchema"
+import { SerializationContext, serializeWithSchema } from "./serialize"
+import update from "./update"
+import Context from "./Context"
+import { deserializePropsWithSchema } from "./deserialize"
+import { walkChanges } from "./diff"
+import { SKIP, _defaultPrimitiveProp } from "../constants"
+
+function escapePathToken(token) {
+    return String(token).replace(/~/g, "~0").replace(/\//g, "~1")
+}
+
+function toPointer(path) {
+    return path.map(function (token) {
+        return "/" + escapePathToken(token)
+    }).join("")
+}
+
+function parsePointer(pointer) {
+    invariant(typeof pointer === "string" && (pointer === "" || pointer.charAt(0) === "/"), "invalid JSON pointer: " + pointer)
+    if (pointer === "")
+        return []
+    return pointer.slice(1).split("/").map(function (token) {
+        return token.replace(/~1/g, "/").replace(/~0/g, "~")
+    })
+}
+
+/**
+ * Produces a JSON Patch (RFC 6902) document that transforms the serialized form of `before` into the serialized form of `after`.
+ * The patch is based on `diff`: changed props are replaced entirely, except for children of `object` props,
+ * which are patched prop by prop as long as both states hold the same child (same model and identifier).
+ * Props that become `undefined` are removed, props that were `undefined` before are added.
+ *
+ * @example
+ * todo.title = "new title"
+ * toJsonPatch(Todo, before, todo)
+ * // [{ op: "replace", path: "/title", value: "new title" }]
+ *
+ * @param {ModelSchema} modelSchema model schema to use. Optional, inferred from `after` if omitted
+ * @param {object} before the original state of the object
+ * @param {object} after the new state of the object
+ * @returns {object[]} JSON Patch operations
+ */
+export function toJsonPatch(modelSchema, before, after) {
+    invariant(arguments.length === 2 || arguments.length === 3, "toJsonPatch expects 2 or 3 arguments")
+    if (arguments.length === 2) {
+        after = arguments[1]
+        before = arguments[0]
+        modelSchema = getDefaultModelSchema(after)
+    } else
+        modelSchema = getDefaultModelSchema(modelSchema)
+    invariant(isModelSchema(modelSchema), "toJsonPatch failed to determine schema")
+    invariant(before && typeof before === "object" && after && typeof after === "object", "toJsonPatch expects two objects")
+    var patch = []
+    walkChanges(modelSchema, before, after, new SerializationContext(), [], function (path, jsonBefore, jsonAfter) {
+        if (jsonAfter === undefined)
+            patch.push({ op: "remove", path: toPointer(path) })
+        else
+            patch.push({ op: jsonBefore === undefined ? "add" : "replace", path: toPointer(path), value: jsonAfter })
+    })
+    return patch
+}
+
+/**
+ * Applies a JSON Patch (RFC 6902) document, that is expressed against the serialized form, to a live object.
+ * New values are deserialized by the prop schemas of the affected props, so that for example `date`, `reference`
+ * and `object` props receive real values. Operations that point inside a prop (for example `/tags/0`, or `/lines/2/qty`
+ * for a list of objects) are applied to the serialized value of the prop, which is then deserialized again.
+ * Operations that point inside an `object` child are applied to the existing child. Only the prop schemas of the affected props
+ * are used: the migrations, hooks and strict checks of the schema don't apply, unless the operation replaces a whole object.
+ *
+ * The operations are applied in order, the callback is invoked once all of them have been applied, or with the first error.
+ * Invalid operations and paths are reported to the callback as well.
+ * A failing `test` operation results in an error as well, but note that the operations before it have been applied already.
+ *
+ * @example
+ * applyJsonPatch(Todo, todo, [
+ *     { op: "replace", path: "/due", value: "2018-08-09" },
+ *     { op: "add", path: "/tags/-", value: "urgent" },
+ * ], (err, todo) => { ... })
+ *
+ * @param {ModelSchema} modelSchema model schema to use. Optional, inferred from the target if omitted
+ * @param {object} target the object to patch
+ * @param {object[]} patch JSON Patch operations
+ * @param {function} callback node style callback, invoked with the patched target
+ * @param {*} customArgs custom arguments that are available as `context.args` during the deserialization process
+ * @param {object} options optional deserialization options, see `update`
+ */
+export function applyJsonPatch(modelSchema, target, patch, callback, customArgs, options) {
+    if (Array.isArray(arguments[1])) {
+        // schema omitted
+        target = arguments[0]
+        patch = arguments[1]
+        callback = arguments[2]
+        customArgs = arguments[3]
+        options = arguments[4]
+        modelSchema = getDefaultModelSchema(target)
+    } else
+        modelSchema = getDefaultModelSchema(modelSchema)
+    invariant(isModelSchema(modelSchema), "applyJsonPatch failed to determine schema")
+    invariant(typeof target === "object" && target && !Array.isArray(target), "applyJsonPatch needs an object")
+    invariant(Array.isArray(patch), "applyJsonPatch expects an array of operations")
+    callback = callback || GUARDED_NOOP
+    var patcher = new Patcher(modelSchema, target, customArgs, options)
+    var idx = 0
+    var finished = false
+    function finish(err, value) {
+        finished = true
+        callback(err, value)
+    }
+    function next(err) {
+        if (err)
+            return void finish(err)
+        if (idx === patch.length)
+            return void finish(null, target)
+        try {
+            patcher.applyOperation(patch[idx++], next)
+        } catch (e) {
+            // invalid operations and paths are reported to the callback, also when a previous operation completed asynchronously
+            if (finished)
+                throw e // thrown by the callback itself
+            finish(e)
+        }
+    }
+    next()
+}
+
+function Patcher(modelSchema, target, customArgs, options) {
+    this.modelSchema = modelSchema
+    this.target = target
+    this.customArgs = customArgs
+    this.options = options
+}
+
+Patcher.prototype.applyOperation = function (operation, done) {
+    invariant(operation && typeof operation === "object", "expected JSON Patch operation, got " + operation)
+    var path = parsePointer(operation.path)
+    switch (operation.op) {
+    case "add":
+    case "replace":
+        invariant("value" in operation, "JSON Patch operation '" + operation.op + "' requires a value")
+        return void this.write(path, operation.op, operation.value, done)
+    case "remove":
+        return void this.write(path, "remove", undefined, done)
+    case "copy":
+        return void this.write(path, "add", this.read(parsePointer(operation.from)), done)
+    case "move":
+        var from = parsePointer(operation.from)
+        var value = this.read(from)
+        var self = this
+        return void this.write(from, "remove", undefined, function (err) {
+            if (err)
+                return void done(err)
+            self.write(path, "add", value, done)
+        })
+    case "test":
+        if (!jsonEquals(this.read(path), operation.value))
+            return void done("[serializr] JSON Patch test failed for path '" + operation.path + "'")
+        return void done(null)
+    default:
+        invariant(false, "unknown JSON Patch operation: " + operation.op)
+    }
+}
+
+// returns the serialized value at the given path
+Patcher.prototype.read = function (path) {
+    var location = this.locate(path)
+    if (!location.prop)
+        return serializeWithSchema(location.schema, location.target)
+    return getJsonIn(serializeProp(location.prop, location.target), location.rest)
+}
+
+// applies an add, replace or remove operation at the given path
+Patcher.prototype.write = function (path, op, value, done) {
+    var location = this.locate(path)
+    var prop = location.prop
+    if (!prop) {
+        invariant(op !== "remove", "cannot remove the patched object itself")
+        return void update(location.schema, location.target, value, done, this.customArgs, this.options)
+    }
+    if (location.rest.length === 0 && op === "remove") {
+        location.target[prop.propName] = undefined
+        return void done(null)
+    }
+    if (prop.star) {
+        invariant(location.rest.length === 0 && isPrimitive(value), "expected primitive value for '" + prop.propName + "'")
+        location.target[prop.propName] = value
+        return void done(null)
+    }
+    var json = {}
+    json[prop.jsonName] = location.rest.length === 0
+        ? value
+        : setJsonIn(serializeProp(prop, location.target), location.rest, op, value)
+    this.deserializeProp(location.schema, location.target, json, done)
+}
+
+// runs the deserializer of the single prop in json. As json is not a complete object, it doesn't go through
+// the migrations, hooks and strict checks of the schema
+Patcher.prototype.deserializeProp = function (schema, target, json, done) {
+    var context = new Context(null, schema, json, done, this.customArgs, this.options)
+    context.target = target
+    var lock = context.createCallback(GUARDED_NOOP)
+    deserializePropsWithSchema(context, schema, json, target, false)
+    lock()
+}
+
+// finds the object and prop the path points to, descending into `object` children
+Patcher.prototype.locate = function (path) {
+    var schema = this.modelSchema
+    var target = this.target
+    for (var i = 0; i < path.length; i++) {
+        var prop = findProp(schema, path[i])
+        invariant(!!prop, "JSON Patch path '" + toPointer(path) + "' doesn't refer to a property of the model schema")
+        var child = target[prop.propName]
+        if (i < path.length - 1 && prop.propSchema.type === "object" && child && typeof child === "object") {
+            schema = getDefaultModelSchema(prop.propSchema.modelSchema)
+            target = child
+            continue
+        }
+        return { schema: schema, target: target, prop: prop, rest: path.slice(i + 1) }
+    }
+    return { schema: schema, target: target, prop: null, rest: [] }
+}
+
+// finds the prop with the given json name, taking aliases and super schemas into account
+function findProp(schema, jsonName) {
+    for (var current = schema; current; current = current.extends)
+        for (var propName in current.props) {
+            var propSchema = current.props[propName]
+            if (propSchema === false || propName === "*")
+                continue
+            if (propSchema === true)
+                propSchema = _defaultPrimitiveProp
+            if ((propSchema.jsonname || propName) === jsonName)
+                return { propName: propName, jsonName: jsonName, propSchema: propSchema }
+        }
+    for (current = schema; current; current = current.extends)
+        if (current.props["*"] === true)
+            return { propName: jsonName, jsonName: jsonName, propSchema: _defaultPrimitiveProp, star: true }
+    return null
+}
+
+function serializeProp(prop, target) {
+    var json = prop.propSchema.serializer(target[prop.propName], prop.propName, target, new SerializationContext())
+    return json === SKIP ? undefined : json
+}
+
+function getJsonIn(json, path) {
+    for (var i = 0; i < path.length; i++) {
+        invariant(json && typeof json === "object" && path[i] in json, "JSON Patch path doesn't exist: " + toPointer(path))
+        json = json[path[i]]
+    }
+    return json
+}
+
+// applies an add, replace or remove operation to plain json, the path should not be empty
+function setJsonIn(json, path, op, value) {
+    var parent = getJsonIn(json, path.slice(0, -1))
+    var key = path[path.length - 1]
+    invariant(parent && typeof parent === "object", "JSON Patch path doesn't exist: " + toPointer(path))
+    if (Array.isArray(parent)) {
+        var idx = key === "-" ? parent.length : Number(key)
+        invariant(idx >= 0 && idx <= parent.length && String(idx) === String(key === "-" ? idx : key), "invalid array index in JSON Patch path: " + toPointer(path))
+        if (op === "add")
+            parent.splice(idx, 0, value)
+        else {
+            invariant(idx < parent.length, "JSON Patch path doesn't exist: " + toPointer(path))
+            if (op === "remove")
+                parent.splice(idx, 1)
+            else
+                parent[idx] = value
+        }
+    } else {
+        invariant(op === "add" || key in parent, "JSON Patch path doesn't exist: " + toPointer(path))
+        if (op === "remove")
+            delete parent[key]
+        else
+            parent[key] = value
+    }
+    return json
+}
@@ -0,0 +1,286 @@
+/*
+ * Normalize and denormalize
+ */
+
+import { invariant, isModelSchema, isMapLike, getIdentifierProp, GUARDED_NOOP } from "../utils/utils"
+import getDefaultModelSchema from "../api/getDefaultModelSchema"
+import { SerializationContext, serializeStarProps } from "./serialize"
+import { deserializeObjectWithSchema } from "./deserialize"
+import Context from "./Context"
+import { forEachProp } from "./compile"
+import { SKIP } from "../constants"
+
+function findEntityName(modelSchema) {
+    return modelSchema.name || (modelSchema.targetClass && modelSchema.targetClass !== Object && modelSchema.targetClass.name) || null
+}
+
+function getEntityName(modelSchema) {
+    var name = findEntityName(modelSchema)
+    invariant(!!name, "entities require a model schema with a name, use the 'name' option of the model schema")
+    return name
+}
+
+function getEntitySchema(modelSchema) {
+    modelSchema = getDefaultModelSchema(modelSchema)
+    invariant(isModelSchema(modelSchema), "expected modelSchema, got " + modelSchema)
+    return modelSchema
+}
+
+// returns the model schema if the prop schema holds entities: objects with an identifier, or referred objects of a named model
+function getNestedEntitySchema(propSchema) {
+    var modelSchema
+    switch (propSchema.type) {
+    case "object":
+        modelSchema = getEntitySchema(propSchema.modelSchema)
+        return getIdentifierProp(modelSchema) ? modelSchema : null
+    case "reference":
+        if (!propSchema.modelSchema)
+            return null // referred by attribute name
+        modelSchema = getEntitySchema(propSchema.modelSchema)
+        return findEntityName(modelSchema) ? modelSchema : null
+    default:
+        return null
+    }
+}
+
+function containsEntities(propSchema) {
+    switch (propSchema.type) {
+    case "object":
+    case "reference":
+        return !!getNestedEntitySchema(propSchema)
+    case "list":
+    case "map":
+    case "mapAsArray":
+        return containsEntities(propSchema.propSchema)
+    default:
+        return false
+    }
+}
+
+/**
+ * Flattens an object graph into entity tables. Every object with an identifier becomes an entity, that is stored in its serialized form
+ * in the table of its model, and nested entities (in `object` props, or in lists and maps of them) are replaced by their identifier.
+ * Objects that are referred to by `reference` props are stored in their table as well.
+ * The table name of a model is the `name` of the model schema, or the name of its class. Objects without identifier are serialized inline.
+ *
+ * @example
+ * normalize(Post, post)
+ * // {
+ * //     result: 1,
+ * //     entities: {
+ * //         Post: { 1: { id: 1, title: "Hello", author: 7, comments: [3] } },
+ * //         User: { 7: { id: 7, name: "Jane" } },
+ * //         Comment: { 3: { id: 3, text: "Nice", author: 7 } },
+ * //     }
+ * // }
+ *
+ * @param {ModelSchema} modelSchema model schema of the data, which should have an identifier. Optional if it can be inferred from the data
+ * @param {object|array} data object or array of objects to normalize
+ * @returns {object} `{ result, entities }`, where `result` holds the identifier (or identifiers) of the data
+ */
+export function normalize(modelSchema, data) {
+    invariant(arguments.length === 1 || arguments.length === 2, "normalize expects 1 or 2 arguments")
+    if (arguments.length === 1) {
+        data = arguments[0]
+        modelSchema = getDefaultModelSchema(Array.isArray(data) ? data[0] : data)
+    }
+    modelSchema = getEntitySchema(modelSchema)
+    invariant(!!getIdentifierProp(modelSchema), "normalize requires a model schema with an identifier")
+    var normalizer = new Normalizer()
+    var result = Array.isArray(data)
+        ? data.map(function (item) {
+            return normalizer.entity(modelSchema, item)
+        })
+        : normalizer.entity(modelSchema, data)
+    return { result: result, entities: normalizer.entities }
+}
+
+function Normalizer() {
+    this.entities = {} // name: { id: json }
+    this.context = new SerializationContext()
+}
+
+// stores the object in its entity table, and returns its identifier
+Normalizer.prototype.entity = function (modelSchema, obj) {
+    invariant(obj && typeof obj === "object", "expected object, got " + obj)
+    var name = getEntityName(modelSchema)
+    var id = obj[getIdentifierProp(modelSchema)]
+    invariant(id !== null && id !== undefined, "cannot normalize " + name + " without identifier")
+    var table = this.entities[name] = this.entities[name] || {}
+    if (Object.prototype.hasOwnProperty.call(table, id))
+        return id // already normalized, or being normalized (cycle)
+    var json = table[id] = {}
+    forEachProp(modelSchema, function (propName, propSchema, jsonName, declaringSchema) {
+        if (propName === "*")
+            return void serializeStarProps(declaringSchema, obj, json)
+        var value = this.value(propSchema, obj[propName], propName, obj)
+        if (value !== SKIP)
+            json[jsonName] = value
+    }.bind(this))
+    return id
+}
+
+Normalizer.prototype.value = function (propSchema, value, key, sourceObject) {
+    if (!containsEntities(propSchema) || (propSchema.type === "reference" && !value)) // references serialize missing objects as null
+        return propSchema.serializer(value, key, sourceObject, this.context)
+    if (value === null || value === undefined)
+        return value
+    var self = this
+    var result
+    switch (propSchema.type) {
+    case "object":
+    case "reference":
+        return this.entity(getNestedEntitySchema(propSchema), value)
+    case "list":
+        return value.map(function (item, idx) {
+            return self.value(propSchema.propSchema, item, idx, value)
+        })
+    case "mapAsArray":
+        result = []
+        value.forEach(function (item, itemKey) {
+            result.push(self.value(propSchema.propSchema, item, itemKey, value))
+        })
+        return result
+    case "map":
+        result = {}
+        if (isMapLike(value))
+            value.forEach(function (item, itemKey) {
+                result[itemKey] = self.value(propSchema.propSchema, item, itemKey, value)
+            })
+        else for (var itemKey in value)
+            result[itemKey] = self.value(propSchema.propSchema, value[itemKey], itemKey, value)
+        return result
+    }
+}
+
+/**
+ * The reverse of `normalize`: deserializes the entities with the given identifier (or identifiers) from the entity tables.
+ * Nested entities are deserialized from their tables, entities that occur multiple times (or in cycles) are deserialized once,
+ * and `reference` props are resolved against the entities in the tables as well. Entities that are not found are reported to the callback.
+ * Further this method behaves similar to deserialize.
+ *
+ * @example
+ * const { result, entities } = normalize(Post, post)
+ * denormalize(Post, result, entities, (err, post) => { ... })
+ *
+ * @param {ModelSchema} modelSchema model schema of the result
+ * @param {*} result identifier, or array of identifiers, of the entities to deserialize
+ * @param {object} entities entity tables, as produced by `normalize`
+ * @param {function} callback node style callback that is invoked once deserialization has finished
+ * @param {*} customArgs custom arguments that are available as `context.args` during the deserialization process
+ * @param {object} options optional deserialization options, see `deserialize`
+ * @returns {object|array} deserialized object(s), possibly incomplete
+ */
+export function denormalize(modelSchema, result, entities, callback, customArgs, options) {
+    modelSchema = getEntitySchema(modelSchema)
+    invariant(entities && typeof entities === "object", "expected entity tables")
+    var denormalizer = new Denormalizer(entities)
+    var isArray = Array.isArray(result)
+    var roots = (isArray ? result : [result]).map(function (id, idx) {
+        return { modelSchema: modelSchema, json: denormalizer.entity(modelSchema, id), path: isArray ? idx : null }
+    })
+    // referenced entities that were not expanded anywhere are deserialized as well, so that the references can be resolved
+    while (denormalizer.referenced.length > 0) {
+        var ref = denormalizer.referenced.shift()
+        if (!denormalizer.isExpanded(ref.modelSchema, ref.id))
+            roots.push({ modelSchema: ref.modelSchema, json: denormalizer.entity(ref.modelSchema, ref.id), path: getEntityName(ref.modelSchema) + ":" + ref.id })
+    }
+    if (denormalizer.error)
+        return void (callback || GUARDED_NOOP)(denormalizer.error)
+
+    // entities are expanded in graph mode json, so all of them share one root context
+    var graphOptions = {}
+    for (var key in options)
+        graphOptions[key] = options[key]
+    graphOptions.graph = true
+    var items = []
+    var rootContext = new Context(null, modelSchema, result, callback, customArgs, graphOptions)
+    rootContext.target = isArray ? items : null
+    var lock = rootContext.createCallback(GUARDED_NOOP)
+    roots.forEach(function (root, idx) {
+        if (root.path !== null)
+            rootContext.path.push(root.path)
+        deserializeObjectWithSchema(rootContext, root.modelSchema, root.json, rootContext.createCallback(function (value) {
+            if (idx >= (isArray ? result.length : 1))
+                return
+            if (isArray)
+                items[idx] = value
+            else
+                rootContext.target = value
+        }))
+        if (root.path !== null)
+            rootContext.path.pop()
+    })
+    lock()
+    return rootContext.target
+}
+
+function Denormalizer(entities) {
+    this.entities = entities
+    this.expanded = {} // "name:id": true
+    this.referenced = [] // [{ modelSchema, id }]
+    this.error = null // the first entity that was not found
+}
+
+Denormalizer.prototype.isExpanded = function (modelSchema, id) {
+    return this.expanded[getEntityName(modelSchema) + ":" + id] === true
+}
+
+// returns the graph mode json of the entity, or a $ref if it was expanded before
+Denormalizer.prototype.entity = function (modelSchema, id) {
+    var name = getEntityName(modelSchema)
+    var graphId = name + ":" + id
+    if (this.expanded[graphId])
+        return { $ref: graphId }
+    var table = this.entities[name]
+    if (!table || !Object.prototype.hasOwnProperty.call(table, id)) {
+        this.error = this.error || "[serializr] entity " + name + " with identifier '" + id + "' not found"
+        return null
+    }
+    this.expanded[graphId] = true
+    var json = { $id: graphId }
+    for (var key in table[id])
+        json[key] = table[id][key]
+    forEachProp(modelSchema, function (propName, propSchema, jsonName) {
+        if (propName !== "*" && jsonName in json)
+            json[jsonName] = this.value(propSchema, json[jsonName])
+    }.bind(this))
+    return json
+}
+
+Denormalizer.prototype.value = function (propSchema, json) {
+    if (json === null || json === undefined)
+        return json
+    var self = this
+    switch (propSchema.type) {
+    case "object":
+        var modelSchema = getNestedEntitySchema(propSchema)
+        return modelSchema ? this.entity(modelSchema, json) : json
+    case "reference":
+        if (propSchema.modelSchema)
+            this.reference(getEntitySchema(propSchema.modelSchema), json)
+        return json
+    case "list":
+    case "mapAsArray":
+        return Array.isArray(json) ? json.map(function (item) {
+            return self.value(propSchema.propSchema, item)
+        }) : json
+    case "map":
+        if (typeof json !== "object")
+            return json
+        var result = {}
+        for (var key in json)
+            result[key] = this.value(propSchema.propSchema, json[key])
+        return result
+    default:
+        return json
+    }
+}
+
+Denormalizer.prototype.reference = function (modelSchema, id) {
+    var name = findEntityName(modelSchema)
+    var table = name && this.entities[name]
+    // references to entities that are not in the tables should be resolved by the lookup function of the reference
+    if (table && Object.prototype.hasOwnProperty.call(table, id))
+        this.referenced.push({ modelSchema: modelSchema, id: id })
+}
@@ -0,0 +1,69 @@
+/*
+ * Reconciliation of existing child objects, see the `reconcile` option of `update`
+ */
+
+import { isModelSchema, isMapLike, isAssignableTo, getIdentifierProp, getIdentifierJsonName } from "../utils/utils"
+import getDefaultModelSchema from "../api/getDefaultModelSchema"
+
+function collectionToArray(collection) {
+    if (!collection || typeof collection !== "object")
+        return []
+    var result = []
+    if (isMapLike(collection))
+        collection.forEach(function (value) {
+            result.push(value)
+        })
+    else if (typeof collection.length === "number")
+        for (var i = 0; i < collection.length; i++)
+            result.push(collection[i])
+    else
+        Object.keys(collection).forEach(function (key) {
+            result.push(collection[key])
+        })
+    return result
+}
+
+/**
+ * Returns true if the existing `target` can be updated in place with the given json:
+ * it should be an object of the same model (or a sub model) and, if the model has an identifier, the json should not describe another identity.
+ */
+export function canReconcile(modelSchema, target, json) {
+    if (!target || typeof target !== "object" || !json || typeof json !== "object")
+        return false
+    var targetSchema = getDefaultModelSchema(target)
+    if (isModelSchema(targetSchema) && !isAssignableTo(targetSchema, modelSchema))
+        return false
+    var identifierProp = getIdentifierProp(modelSchema)
+    if (identifierProp) {
+        var jsonName = getIdentifierJsonName(modelSchema)
+        if (jsonName in json && json[jsonName] !== target[identifierProp])
+            return false
+    }
+    return true
+}
+
+/**
+ * For the items of a json array, finds the existing objects in `oldCollection` (array, Map or plain object) they should be reconciled with.
+ * Items are matched by the identifier of their model schema, or by position if the model has no identifier.
+ * Returns an array that is aligned with `jsonItems`, holding `undefined` for items without a match.
+ * Only items described by `object` prop schemas are matched.
+ */
+export function matchExistingItems(propSchema, jsonItems, oldCollection) {
+    var oldItems = collectionToArray(oldCollection)
+    if (propSchema.type !== "object" || oldItems.length === 0)
+        return []
+    var modelSchema = getDefaultModelSchema(propSchema.modelSchema)
+    var identifierProp = isModelSchema(modelSchema) ? getIdentifierProp(modelSchema) : null
+    if (!identifierProp)
+        return oldItems.slice(0, jsonItems.length)
+    var jsonName = getIdentifierJsonName(modelSchema)
+    return jsonItems.map(function (jsonItem) {
+        if (!jsonItem || typeof jsonItem !== "object" || !(jsonName in jsonItem))
+            return undefined
+        for (var i = 0; i < oldItems.length; i++)
+            if (oldItems[i] && oldItems[i][identifierProp] === jsonItem[jsonName])
+                // every existing item is reused at most once
+                return oldItems.splice(i, 1)[0]
+        return undefined
+    })
+}
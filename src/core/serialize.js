@@ -1,22 +1,65 @@
-import { invariant, isPrimitive } from "../utils/utils"
+import { invariant, isPrimitive, isModelSchema, getSchemaHook } from "../utils/utils"
 import createModelSchema from "../api/createModelSchema"
 import getDefaultModelSchema from "../api/getDefaultModelSchema"
 import setDefaultModelSchema from "../api/setDefaultModelSchema"
-import { SKIP, _defaultPrimitiveProp } from "../constants"
+import { SKIP } from "../constants"
+import { forEachProp } from "./compile"
+
+export function SerializationContext(options) {
+    this.options = options || {}
+    if (this.options.graph) {
+        this.graphIds = new Map() // object: $id
+        this.graphIdCount = 0
+    }
+    // the projection for the props of the object that is currently being serialized, null for all props
+    this.projection = this.options.fields ? parseProjection(this.options.fields) : null
+}
+
+// converts a projection in list form (["id", "owner.name"]) into object form ({ id: true, owner: { name: true } })
+function parseProjection(fields) {
+    if (!Array.isArray(fields)) {
+        invariant(typeof fields === "object", "expected fields to be an object or an array of paths")
+        return fields
+    }
+    var projection = {}
+    fields.forEach(function (field) {
+        invariant(typeof field === "string" && !!field, "expected field path to be a non-empty string, got " + field)
+        var parts = field.split(".")
+        var current = projection
+        for (var i = 0; i < parts.length - 1 && current[parts[i]] !== true; i++)
+            current = current[parts[i]] = current[parts[i]] || {}
+        if (i === parts.length - 1)
+            current[parts[i]] = true // a complete prop overrides the projections of its fields
+    })
+    return projection
+}
 
 /**
  * Serializes an object (graph) into json using the provided model schema.
  * The model schema can be omitted if the object type has a default model schema associated with it.
  * If a list of objects is provided, they should have an uniform type.
  *
+ * The following options are supported:
+ * - `graph`: when `true`, every object is emitted only once and marked with a `$id`. Further occurrences of the same
+ * object (shared or cyclic references) are written as `{ "$ref": id }`. Use the same option when deserializing to restore the graph.
+ * - `groups`: array of serialization groups. Only props that belong to one of these groups (see the `groups` prop schema option),
+ * or that don't specify groups at all, are serialized. This applies to nested objects as well
+ * - `fields`: projection of the (json) props to serialize, either as object, for example `{ id: true, owner: { name: true } }`,
+ * or as list of paths, for example `["id", "owner.name"]`. Props that hold objects can be projected further, also when they are
+ * contained in lists or maps. Other props are omitted
+ *
  * @param arg1 modelschema to use. Optional
  * @param arg2 object(s) to serialize
+ * @param arg3 serialization options. Optional
  * @returns {object} serialized representation of the object
  */
-export default function serialize(arg1, arg2) {
-    invariant(arguments.length === 1 || arguments.length === 2, "serialize expects one or 2 arguments")
-    var thing = arguments.length === 1 ? arg1 : arg2
-    var schema = arguments.length === 1 ? null : arg1
+export default function serialize(arg1, arg2, arg3) {
+    invariant(arguments.length >= 1 && arguments.length <= 3, "serialize expects one to 3 arguments")
+    // with two arguments, the first one is either the (possibly empty) schema or the object to serialize
+    var hasSchema = arguments.length === 3 || (arguments.length === 2 && (!arg1 || isModelSchema(arg1) || typeof arg1 === "function"))
+    var thing = hasSchema ? arg2 : arg1
+    var schema = hasSchema ? getDefaultModelSchema(arg1) : null
+    var context = new SerializationContext(hasSchema ? arg3 : arg2)
     if (Array.isArray(thing)) {
         if (thing.length === 0)
             return [] // don't bother finding a schema
@@ -28,43 +71,85 @@ export default function serialize(arg1, arg2) {
     invariant(!!schema, "Failed to find default schema for " + arg1)
     if (Array.isArray(thing))
         return thing.map(function (item) {
-            return serializeWithSchema(schema, item)
+            return serializeWithSchema(schema, item, context)
         })
-    return serializeWithSchema(schema, thing)
+    return serializeWithSchema(schema, thing, context)
 }
 
-export function serializeWithSchema(schema, obj) {
+export function serializeWithSchema(schema, obj, context) {
     invariant(schema && typeof schema === "object", "Expected schema")
     invariant(obj && typeof obj === "object", "Expected object")
-    var res
-    if (schema.extends)
-        res = serializeWithSchema(schema.extends, obj)
-    else {
-        // TODO: make invariant?:  invariant(!obj.constructor.prototype.constructor.serializeInfo, "object has a serializable supertype, but modelschema did not provide extends clause")
-        res = {}
+    context = context || new SerializationContext()
+    var res = {}
+    if (context.graphIds) {
+        if (context.graphIds.has(obj))
+            return { $ref: context.graphIds.get(obj) }
+        // register before serializing the props, so that cycles can refer to this object
+        res.$id = String(++context.graphIdCount)
+        context.graphIds.set(obj, res.$id)
     }
-    Object.keys(schema.props).forEach(function (key) {
-        var propDef = schema.props[key]
-        if (key === "*") {
-            invariant(propDef === true, "prop schema '*' can onle be used with 'true'")
-            serializeStarProps(schema, obj, res)
-            return
-        }
-        if (propDef === true)
-            propDef = _defaultPrimitiveProp
-        if (propDef === false)
-            return
-        var jsonValue = propDef.serializer(obj[key], key, obj)
-        if (jsonValue === SKIP){
+    if (schema.version !== undefined)
+        res.$version = schema.version
+    var beforeSerialize = getSchemaHook(schema, "beforeSerialize")
+    var source = beforeSerialize ? beforeSerialize(obj, context) : undefined
+    serializePropsWithSchema(schema, source === undefined ? obj : source, res, context)
+    var undefinedProps = getSchemaHook(schema, "undefinedProps")
+    if (undefinedProps)
+        processUndefinedProps(res, undefinedProps)
+    var afterSerialize = getSchemaHook(schema, "afterSerialize")
+    if (afterSerialize) {
+        var json = afterSerialize(res, obj, context)
+        if (json !== undefined)
+            res = json
+    }
+    return res
+}
+
+function serializePropsWithSchema(schema, obj, res, context) {
+    // TODO: make invariant?:  invariant(schema.extends || !obj.constructor.prototype.constructor.serializeInfo, "object has a serializable supertype, but modelschema did not provide extends clause")
+    var projection = context.projection
+    var groups = context.options.groups
+    forEachProp(schema, function (propName, propSchema, jsonName, declaringSchema) {
+        if (propName === "*")
+            return void serializeStarProps(declaringSchema, obj, res, projection)
+        if (!isInGroups(propSchema, groups) || (projection && !projection[jsonName]))
             return
-        }
-        res[propDef.jsonname || key] = jsonValue
+        var jsonValue
+        if (projection) {
+            // nested objects are serialized with the projection of this prop
+            context.projection = projection[jsonName] !== true ? projection[jsonName] : null
+            try {
+                jsonValue = propSchema.serializer(obj[propName], propName, obj, context)
+            } finally {
+                context.projection = projection
+            }
+        } else
+            jsonValue = propSchema.serializer(obj[propName], propName, obj, context)
+        if (jsonValue !== SKIP)
+            res[jsonName] = jsonValue
+    })
+}
+
+// omits the props with an undefined value from the json, or writes them as null
+function processUndefinedProps(res, undefinedProps) {
+    for (var key in res) if (res[key] === undefined) {
+        if (undefinedProps === "omit")
+            delete res[key]
+        else
+            res[key] = null
+    }
+}
+
+function isInGroups(propSchema, groups) {
+    if (!groups || !propSchema.groups)
+        return true
+    return propSchema.groups.some(function (group) {
+        return groups.indexOf(group) !== -1
     })
-    return res
 }
 
-export function serializeStarProps(schema, obj, target) {
-    for (var key in obj) if (obj.hasOwnProperty(key)) if (!(key in schema.props)) {
+export function serializeStarProps(schema, obj, target, projection) {
+    for (var key in obj) if (obj.hasOwnProperty(key)) if (!(key in schema.props) && (!projection || projection[key])) {
         var value = obj[key]
         // when serializing only serialize primitive props. Assumes other props (without schema) are local state that doesn't need serialization
         if (isPrimitive(value))
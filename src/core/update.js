@@ -2,14 +2,15 @@
  * Update
  */
 
-import { invariant, isModelSchema, GUARDED_NOOP } from "../utils/utils"
+import { invariant, isModelSchema, GUARDED_NOOP, omitProp } from "../utils/utils"
 import getDefaultModelSchema from "../api/getDefaultModelSchema"
 import Context from "./Context"
-import { deserializePropsWithSchema } from "./deserialize"
+import { deserializeTargetWithSchema, runBeforeDeserialize, checkStrictProps, registerGraphId, checkJsonVersion, migrateJson } from "./deserialize"
 
 /**
  * Similar to deserialize, but updates an existing object instance.
  * Properties will always updated entirely, but properties not present in the json will be kept as is.
+ * For versioned schemas, only json that has a `$version` is migrated, other json is taken to be in the current version.
  * Further this method behaves similar to deserialize.
  *
  * @param {object} modelSchema, optional if it can be inferred from the instance type
@@ -17,8 +18,12 @@ import { deserializePropsWithSchema } from "./deserialize"
  * @param {object} json the json to deserialize
  * @param {function} callback the callback to invoke once deserialization has completed.
  * @param {*} customArgs custom arguments that are available as `context.args` during the deserialization process. This can be used as dependency injection mechanism to pass in, for example, stores.
+ * @param {object} options optional deserialization options, see `deserialize`. Additionally, update supports:
+ * - `reconcile`: when `true`, existing child objects are updated in place instead of being replaced by new instances.
+ * Objects in lists and `mapAsArray` collections are matched with the json by their `identifier` (or by position if the model has no identifier),
+ * map values are matched by key. Unmatched items are created, and items that are no longer present in the json are dropped
  */
-export default function update(modelSchema, target, json, callback, customArgs) {
+export default function update(modelSchema, target, json, callback, customArgs, options) {
     var inferModelSchema =
         arguments.length === 2 // only target and json
         || typeof arguments[2] === "function" // callback as third arg
@@ -29,14 +34,65 @@ export default function update(modelSchema, target, json, callback, customArgs)
         json = arguments[1]
         callback = arguments[2]
         customArgs = arguments[3]
+        options = arguments[4]
     } else {
         modelSchema = getDefaultModelSchema(modelSchema)
     }
     invariant(isModelSchema(modelSchema), "update failed to determine schema")
     invariant(typeof target === "object" && target && !Array.isArray(target), "update needs an object")
-    var context = new Context(null, modelSchema, json, callback, customArgs)
+    var graphId
+    if (options && options.graph) {
+        graphId = json.$id
+        json = omitProp(json, "$id")
+    }
+    var versionError = checkJsonVersion(modelSchema, json)
+    if (versionError)
+        return void (callback || GUARDED_NOOP)(versionError)
+    if ("$version" in json)
+        json = migrateJson(modelSchema, json) // json without $version is a partial update in the current version
+    var context = new Context(null, modelSchema, json, callback, customArgs, options)
     context.target = target
-    var lock = context.createCallback(GUARDED_NOOP)
-    deserializePropsWithSchema(context, modelSchema, json, target)
-    lock()
+    registerGraphId(context, graphId)
+    json = runBeforeDeserialize(context, modelSchema)
+    var strictError = checkStrictProps(context, modelSchema, json)
+    if (strictError)
+        return void context.onReadyCb(strictError)
+    deserializeTargetWithSchema(context, modelSchema, json)
+}
+
+/**
+ * Promise based variant of `update`. Returns a promise that resolves to the updated target
+ * once all (asynchronous) references have been resolved, or rejects with the first error that occurred.
+ *
+ * @example
+ * await updateAsync(todo, { title: "new title" })
+ * await updateAsync(Todo, todo, { title: "new title" }, { store })
+ *
+ * @param {object} modelSchema, optional if it can be inferred from the instance type
+ * @param {object} target target instance to update
+ * @param {object} json the json to deserialize
+ * @param {*} customArgs custom arguments that are available as `context.args` during the deserialization process.
+ * @param {object} options optional deserialization options, see `deserialize`
+ * @returns {Promise} promise for the updated target
+ */
+export function updateAsync(modelSchema, target, json, customArgs, options) {
+    var inferModelSchema =
+        arguments.length === 2 // only target and json
+        || !(isModelSchema(modelSchema) || typeof modelSchema === "function") // target, json, customArgs and options
+
+    if (inferModelSchema) {
+        target = arguments[0]
+        json = arguments[1]
+        customArgs = arguments[2]
+        options = arguments[3]
+        modelSchema = getDefaultModelSchema(target)
+    }
+    return new Promise(function (resolve, reject) {
+        update(modelSchema, target, json, function (err, result) {
+            if (err)
+                reject(err)
+            else
+                resolve(result)
+        }, customArgs, options)
+    })
 }
@@ -8,6 +8,10 @@
  * @property {serializerFunction} serializer
  * @property {deserializerFunction} deserializer
  * @property {boolean} identifier
+ * @property {boolean} required if `true`, deserialization fails when the property is absent in the json
+ * @property {*} defaultValue value, or function returning the value, that is used when the property is absent in the json or `null`.
+ * Both only apply to new objects, `update` keeps the properties that are absent in the json
+ * @property {string[]} groups serialization groups the property belongs to, see the `groups` option of `serialize`
  *
  * @typedef {object} PropertyDescriptor
  * @param {*} value
@@ -19,6 +23,9 @@
  *
  * @callback serializerFunction
  * @param {*} sourcePropertyValue
+ * @param {*} key name of the property (or index / key of the item when serializing collection items)
+ * @param {*} sourceObject object (or collection) that holds the value
+ * @param {object} context serialization context, `context.options` holds the options passed to `serialize`
  * @returns any - serialized object
  *
  *
@@ -54,13 +61,20 @@ export { default as createModelSchema } from "./api/createModelSchema"
 export { default as getDefaultModelSchema } from "./api/getDefaultModelSchema"
 export { default as setDefaultModelSchema } from "./api/setDefaultModelSchema"
 export { default as serializable } from "./api/serializable"
+export { default as serializationHooks } from "./api/serializationHooks"
+export { default as toJSONSchema } from "./api/toJSONSchema"
 
 /*
  * ## Serialization and deserialization
  */
 export { default as serialize, serializeAll } from "./core/serialize"
-export { default as deserialize } from "./core/deserialize"
-export { default as update } from "./core/update"
+export { default as deserialize, deserializeAsync } from "./core/deserialize"
+export { default as update, updateAsync } from "./core/update"
+export { default as diff } from "./core/diff"
+export { default as IdentityMap } from "./core/IdentityMap"
+export { normalize, denormalize } from "./core/normalize"
+export { default as compile } from "./core/compile"
+export { toJsonPatch, applyJsonPatch } from "./core/jsonPatch"
 
 export { default as primitive } from "./types/primitive"
 export { default as identifier } from "./types/identifier"
@@ -72,7 +86,16 @@ export { default as reference } from "./types/reference"
 export { default as list } from "./types/list"
 export { default as map } from "./types/map"
 export { default as mapAsArray } from "./types/mapAsArray"
+export { default as set } from "./types/set"
+export { default as mapEntries } from "./types/mapEntries"
+export { default as tuple } from "./types/tuple"
+export { default as enumeration } from "./types/enumeration"
+export { default as literal } from "./types/literal"
+export { default as union } from "./types/union"
+export { default as nullable } from "./types/nullable"
+export { default as optional } from "./types/optional"
 export { default as raw } from "./types/raw"
+export { default as polymorphic } from "./types/polymorphic"
 
 export { SKIP } from "./constants"
 
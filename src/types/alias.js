@@ -22,10 +22,11 @@ export default function alias(name, propSchema) {
     propSchema = (!propSchema || propSchema === true)  ? _defaultPrimitiveProp : propSchema
     invariant(isPropSchema(propSchema), "expected prop schema as second argument")
     invariant(!isAliasedPropSchema(propSchema), "provided prop is already aliased")
-    return {
-        jsonname: name,
-        serializer: propSchema.serializer,
-        deserializer: propSchema.deserializer,
-        identifier: isIdentifierPropSchema(propSchema)
-    }
+    // copies the options and type information of the wrapped prop schema as well
+    var result = {}
+    for (var key in propSchema)
+        result[key] = propSchema[key]
+    result.jsonname = name
+    result.identifier = isIdentifierPropSchema(propSchema)
+    return result
 }
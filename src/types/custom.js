@@ -1,4 +1,4 @@
-import {invariant} from "../utils/utils"
+import {invariant, processAdditionalPropArgs} from "../utils/utils"
 
 /**
  * Can be used to create simple custom propSchema. Multiple things can be done inside of a custom propSchema, like deserializing and serializing other (polymorphic) objects, skipping the serialization of something or checking the context of the obj being (de)serialized.
@@ -6,9 +6,10 @@ import {invariant} from "../utils/utils"
  * The `custom` function takes two parameters, the `serializer` function and the `deserializer` function.
 
  * The `serializer` function has the signature:
- * `(value, key, obj) => void`
+ * `(value, key, obj, context) => void`
 
- * When serializing the object `{a: 1}` the `serializer` function will be called with `serializer(1, 'a', {a: 1})`.
+ * When serializing the object `{a: 1}` the `serializer` function will be called with `serializer(1, 'a', {a: 1}, context)`,
+ * where `context.options` holds the options passed to `serialize`.
 
  * The `deserializer` function has the following signature for synchronous processing
  * `(value, context, oldValue) => void`
@@ -54,12 +55,14 @@ import {invariant} from "../utils/utils"
  *
  * @param {function} serializer function that takes a model value and turns it into a json value
  * @param {function} deserializer function that takes a json value and turns it into a model value. It also takes context argument, which can allow you to deserialize based on the context of other parameters.
+ * @param {object} additionalArgs optional prop schema options (`required`, `defaultValue`, `groups`), see `PropSchema`
  * @returns {PropSchema}
  */
-export default function custom(serializer, deserializer) {
+export default function custom(serializer, deserializer, additionalArgs) {
     invariant(typeof serializer === "function", "first argument should be function")
     invariant((typeof deserializer === "function"), "second argument should be a function or promise")
-    return {
+    return processAdditionalPropArgs({
+        type: "custom",
         serializer: serializer,
         deserializer: function (jsonValue, done, context, oldValue) {
             if (deserializer.length === 4) {
@@ -68,5 +71,5 @@ export default function custom(serializer, deserializer) {
                 done(null, deserializer(jsonValue, context, oldValue))
             }
         }
-    }
+    }, additionalArgs)
 }
@@ -1,23 +1,112 @@
-import { invariant } from "../utils/utils"
+import { invariant, processAdditionalPropArgs } from "../utils/utils"
+
+var ISO_DATE = /^\d{4}-\d{2}-\d{2}$/
+var ISO_DATE_TIME = /^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}(:\d{2}(\.\d+)?)?(Z|[+-]\d{2}:?\d{2})?$/
+
+// the Date constructor rolls impossible days over to the next month (2018-02-31 becomes 2018-03-03), so verify that the day of an ISO string exists
+function isExistingDay(jsonValue) {
+    var year = Number(jsonValue.slice(0, 4))
+    var month = Number(jsonValue.slice(5, 7)) - 1
+    var day = Number(jsonValue.slice(8, 10))
+    var result = new Date(0)
+    result.setUTCFullYear(year, month, day)
+    return result.getUTCMonth() === month && result.getUTCDate() === day
+}
+
+var formats = {
+    epoch: {
+        serialize: function (value) {
+            return value.getTime()
+        },
+        parse: function (jsonValue) {
+            return new Date(jsonValue)
+        },
+        isValidJson: function (jsonValue) {
+            return typeof jsonValue === "number"
+        }
+    },
+    epochSeconds: {
+        serialize: function (value) {
+            return Math.floor(value.getTime() / 1000)
+        },
+        parse: function (jsonValue) {
+            return new Date(jsonValue * 1000)
+        },
+        isValidJson: function (jsonValue) {
+            return typeof jsonValue === "number"
+        }
+    },
+    iso: {
+        serialize: function (value) {
+            return value.toISOString()
+        },
+        parse: function (jsonValue) {
+            return new Date(jsonValue)
+        },
+        isValidJson: function (jsonValue) {
+            return typeof jsonValue === "string" && ISO_DATE_TIME.test(jsonValue)
+        }
+    },
+    isoDate: {
+        serialize: function (value) {
+            return value.toISOString().slice(0, 10)
+        },
+        parse: function (jsonValue) {
+            // date-only forms are interpreted as UTC by the Date constructor
+            return new Date(jsonValue)
+        },
+        isValidJson: function (jsonValue) {
+            return typeof jsonValue === "string" && ISO_DATE.test(jsonValue)
+        }
+    }
+}
 
 /**
- * Similar to primitive, serializes instances of Date objects
+ * Similar to primitive, serializes instances of Date objects.
  *
+ * By default dates are serialized as epoch milliseconds. The `format` option supports:
+ * - `"epoch"`: milliseconds since epoch (default)
+ * - `"epochSeconds"`: seconds since epoch
+ * - `"iso"`: ISO-8601 string, for example `"2018-08-09T12:30:00.000Z"`
+ * - `"isoDate"`: ISO-8601 date without time (`YYYY-MM-DD`), in UTC
+ *
+ * With `strict: true`, deserialization fails for json values that don't match the format or don't represent a valid date
+ * (such as `"2018-02-31"`), instead of producing an `Invalid Date` or a date in the next month.
+ *
+ * @example
+ * createModelSchema(Todo, {
+ *     due: date({ format: 'isoDate', strict: true }),
+ * });
+ *
+ * console.dir(serialize(new Todo(new Date(Date.UTC(2018, 7, 9)))));
+ * // outputs: { due: "2018-08-09" }
+ *
+ * @param {object} additionalArgs optional `format` and `strict` options, and the prop schema options (`required`, `defaultValue`, `groups`), see `PropSchema`
  * @returns
  */
-export default function date() {
-  // TODO: add format option?
-    return {
+export default function date(additionalArgs) {
+    var formatName = (additionalArgs && additionalArgs.format) || "epoch"
+    var format = formats[formatName]
+    invariant(!!format, "unknown date format '" + formatName + "', expected one of: " + Object.keys(formats).join(", "))
+    var strict = !!(additionalArgs && additionalArgs.strict)
+    return processAdditionalPropArgs({
+        type: "date",
+        format: formatName,
         serializer: function(value) {
             if (value === null || value === undefined)
                 return value
             invariant(value instanceof Date, "Expected Date object")
-            return value.getTime()
+            return format.serialize(value)
         },
         deserializer: function (jsonValue, done) {
             if (jsonValue === null || jsonValue === undefined)
                 return void done(null, jsonValue)
-            return void done(null, new Date(jsonValue))
+            if (strict && !format.isValidJson(jsonValue))
+                return void done("[serializr] expected date in '" + formatName + "' format, got: " + jsonValue)
+            var result = format.parse(jsonValue)
+            if (strict && (isNaN(result.getTime()) || (typeof jsonValue === "string" && !isExistingDay(jsonValue))))
+                return void done("[serializr] invalid date: " + jsonValue)
+            return void done(null, result)
         }
-    }
+    }, additionalArgs)
 }
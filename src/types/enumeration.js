@@ -0,0 +1,97 @@
+import { invariant, isPrimitive, processAdditionalPropArgs } from "../utils/utils"
+
+// members of a TypeScript enum object. Numeric enums contain a reverse mapping from value to name, which is skipped
+function getEnumMembers(enumObject) {
+    return Object.keys(enumObject).filter(function (name) {
+        return isNaN(Number(name))
+    }).map(function (name) {
+        return { value: enumObject[name], wire: enumObject[name], name: name }
+    })
+}
+
+function indexOf(members, field, value) {
+    for (var i = 0; i < members.length; i++)
+        if (members[i][field] === value)
+            return i
+    return -1
+}
+
+/**
+ * `enumeration` indicates that this property holds one value of a fixed set of primitive values, which is verified
+ * when serializing and when deserializing. `null` and `undefined` are passed as is.
+ *
+ * The allowed values can be passed as array, or as (TypeScript string or numeric) enum object. The values can be stored differently
+ * in the json, using the following options:
+ * - `names`: when `true`, the member names of the enum object are used in the json, instead of the values
+ * - `mapping`: object mapping json values (the keys) to the allowed values
+ *
+ * @example
+ * enum Status { Active, Blocked }
+ *
+ * createModelSchema(User, {
+ *     status: enumeration(Status, { names: true }),
+ *     role: enumeration(["admin", "user"]),
+ * });
+ *
+ * serialize(user); // { status: "Blocked", role: "admin" }
+ *
+ * @param {array|object} values array of allowed values, or enum object
+ * @param {object} additionalArgs optional `names` and `mapping` options, and the prop schema options (`required`, `defaultValue`, `groups`), see `PropSchema`
+ * @returns {PropSchema}
+ */
+export default function enumeration(values, additionalArgs) {
+    invariant(values && typeof values === "object", "expected array of values or enum object as first argument")
+    var members = Array.isArray(values)
+        ? values.map(function (value) {
+            return { value: value, wire: value }
+        })
+        : getEnumMembers(values)
+    invariant(members.length > 0, "expected at least one allowed value")
+    members.forEach(function (member) {
+        invariant(isPrimitive(member.value), "expected primitive enumeration values, got " + member.value)
+    })
+    if (additionalArgs && additionalArgs.names) {
+        invariant(!Array.isArray(values), "the 'names' option requires an enum object")
+        members.forEach(function (member) {
+            member.wire = member.name
+        })
+    } else if (additionalArgs && additionalArgs.mapping) {
+        var mapping = additionalArgs.mapping
+        members.forEach(function (member) {
+            member.wire = undefined
+        })
+        Object.keys(mapping).forEach(function (wire) {
+            var idx = indexOf(members, "value", mapping[wire])
+            invariant(idx !== -1, "mapping refers to value that is not allowed: " + mapping[wire])
+            members[idx].wire = wire
+        })
+        members.forEach(function (member) {
+            invariant(member.wire !== undefined, "mapping lacks a json value for " + member.value)
+        })
+    }
+    var wireValues = members.map(function (member) {
+        return member.wire
+    })
+    return processAdditionalPropArgs({
+        type: "enumeration",
+        values: members.map(function (member) {
+            return member.value
+        }),
+        wireValues: wireValues,
+        serializer: function (value) {
+            if (value === null || value === undefined)
+                return value
+            var idx = indexOf(members, "value", value)
+            invariant(idx !== -1, "value '" + value + "' is not one of the allowed values")
+            return members[idx].wire
+        },
+        deserializer: function (jsonValue, done) {
+            if (jsonValue === null || jsonValue === undefined)
+                return void done(null, jsonValue)
+            var idx = indexOf(members, "wire", jsonValue)
+            if (idx === -1)
+                return void done("[serializr] expected one of " + JSON.stringify(wireValues) + ", got: " + JSON.stringify(jsonValue))
+            return void done(null, members[idx].value)
+        }
+    }, additionalArgs)
+}
@@ -1,8 +1,10 @@
-import { invariant } from "../utils/utils"
+import { invariant, processAdditionalPropArgs } from "../utils/utils"
 import { _defaultPrimitiveProp } from "../constants"
 
 function defaultRegisterFunction(id, value, context) {
     context.rootContext.resolve(context.modelSchema, id, context.target)
+    if (context.options.identityMap)
+        context.options.identityMap.set(context.modelSchema, id, context.target)
 }
 
 /**
@@ -36,12 +38,18 @@ function defaultRegisterFunction(id, value, context) {
  * });
  *
  * @param {RegisterFunction} registerFn optional function to register this object during creation.
+ * @param {object} additionalArgs optional prop schema options (`required`, `defaultValue`, `groups`), see `PropSchema`
  *
  * @returns {PropSchema}
  */
-export default function identifier(registerFn) {
+export default function identifier(registerFn, additionalArgs) {
+    if (registerFn && typeof registerFn === "object") {
+        additionalArgs = registerFn
+        registerFn = undefined
+    }
     invariant(!registerFn || typeof registerFn === "function", "First argument should be omitted or function")
-    return {
+    return processAdditionalPropArgs({
+        type: "identifier",
         identifier: true,
         serializer: _defaultPrimitiveProp.serializer,
         deserializer: function (jsonValue, done, context) {
@@ -52,5 +60,5 @@ export default function identifier(registerFn) {
                 done(err, id)
             })
         }
-    }
+    }, additionalArgs)
 }
\ No newline at end of file
@@ -1,5 +1,6 @@
-import { invariant, isPropSchema, isAliasedPropSchema, parallel } from "../utils/utils"
+import { invariant, isPropSchema, isAliasedPropSchema, processAdditionalPropArgs } from "../utils/utils"
 import { _defaultPrimitiveProp } from "../constants"
+import { matchExistingItems } from "../core/reconcile"
 
 /**
  * List indicates that this property contains a list of things.
@@ -27,28 +28,55 @@ import { _defaultPrimitiveProp } from "../constants"
  *     ],
  * });
  *
+ * When updating with the `reconcile` option (see `update`), the existing items of a list of `object`s are updated in place
+ * and reused, matching them with the json by their `identifier` (or by position if the model has no identifier).
+ * Items that are no longer present in the json are dropped, and the existing array is updated in place as well.
+ *
  * @param {PropSchema} propSchema to be used to (de)serialize the contents of the array
+ * @param {object} additionalArgs optional `concurrency`: the maximum number of items that is deserialized at the same time. An item is in progress
+ * until its (asynchronous) lookups have finished, including the lookups of the props of nested objects, so this limits the number of pending lookups
+ * of a list of references or of a list of objects with references. Defaults to the `concurrency` option of `deserialize`.
+ * Further the prop schema options (`required`, `defaultValue`, `groups`) are supported, see `PropSchema`
  * @returns {PropSchema}
  */
-export default function list(propSchema) {
+export default function list(propSchema, additionalArgs) {
     propSchema = propSchema || _defaultPrimitiveProp
     invariant(isPropSchema(propSchema), "expected prop schema as first argument")
     invariant(!isAliasedPropSchema(propSchema), "provided prop is aliased, please put aliases first")
-    return {
-        serializer: function (ar) {
+    var concurrency = additionalArgs && additionalArgs.concurrency
+    return processAdditionalPropArgs({
+        type: "list",
+        propSchema: propSchema,
+        serializer: function (ar, key, obj, context) {
             invariant(ar && "length" in ar && "map" in ar, "expected array (like) object")
-            return ar.map(propSchema.serializer)
+            return ar.map(function (item, idx) {
+                return propSchema.serializer(item, idx, ar, context)
+            })
         },
-        deserializer: function(jsonArray, done, context) {
+        deserializer: function(jsonArray, done, context, oldValue) {
             if (!Array.isArray(jsonArray))
                 return void done("[serializr] expected JSON array")
-            parallel(
+            var reconcile = context.options.reconcile
+            var existingItems = reconcile ? matchExistingItems(propSchema, jsonArray, oldValue) : []
+            var rootContext = context.rootContext
+            context.parallel(
                 jsonArray,
-                function (item, itemDone) {
-                    return propSchema.deserializer(item, itemDone, context)
+                function (item, itemDone, idx) {
+                    rootContext.path.push(idx)
+                    try {
+                        return propSchema.deserializer(item, context.catchErrors(propSchema, item, itemDone, undefined), context, existingItems[idx])
+                    } finally {
+                        rootContext.path.pop()
+                    }
+                },
+                function (err, values) {
+                    if (err || !reconcile || !oldValue || typeof oldValue.splice !== "function")
+                        return void done(err, values)
+                    oldValue.splice.apply(oldValue, [0, oldValue.length].concat(values))
+                    done(null, oldValue)
                 },
-                done
+                concurrency || context.options.concurrency
             )
         }
-    }
+    }, additionalArgs)
 }
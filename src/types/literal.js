@@ -0,0 +1,35 @@
+import { invariant, isPrimitive, processAdditionalPropArgs } from "../utils/utils"
+
+/**
+ * `literal` indicates that this property always holds the same primitive value. When serializing, the value is written
+ * regardless of the value of the property (which should be either the literal or `undefined`), when deserializing
+ * the json should contain exactly this value.
+ *
+ * @example
+ * createModelSchema(Circle, {
+ *     kind: literal("circle"),
+ *     radius: primitive(),
+ * });
+ *
+ * serialize(new Circle(3)); // { kind: "circle", radius: 3 }
+ *
+ * @param {*} value the primitive value of the property
+ * @param {object} additionalArgs optional prop schema options (`required`, `defaultValue`, `groups`), see `PropSchema`
+ * @returns {PropSchema}
+ */
+export default function literal(value, additionalArgs) {
+    invariant(isPrimitive(value) && value !== undefined, "expected primitive value as first argument, got " + value)
+    return processAdditionalPropArgs({
+        type: "literal",
+        value: value,
+        serializer: function (propValue) {
+            invariant(propValue === undefined || propValue === value, "expected literal '" + value + "', got '" + propValue + "'")
+            return value
+        },
+        deserializer: function (jsonValue, done) {
+            if (jsonValue !== value)
+                return void done("[serializr] expected literal " + JSON.stringify(value) + ", got: " + JSON.stringify(jsonValue))
+            return void done(null, value)
+        }
+    }, additionalArgs)
+}
@@ -1,40 +1,57 @@
-import { invariant, isAliasedPropSchema, isPropSchema, isMapLike } from "../utils/utils"
+import { invariant, isAliasedPropSchema, isPropSchema, isMapLike, processAdditionalPropArgs } from "../utils/utils"
 import { _defaultPrimitiveProp } from "../constants"
-import list from "./list"
 
 /**
 * Similar to list, but map represents a string keyed dynamic collection.
 * This can be both plain objects (default) or ES6 Map like structures.
 * This will be inferred from the initial value of the targetted attribute.
 *
+* When updating with the `reconcile` option (see `update`), existing values are updated in place by key.
+*
 * @param {*} propSchema
+* @param {object} additionalArgs optional `concurrency`: the maximum number of values that is deserialized at the same time, see `list`.
+* Further the prop schema options (`required`, `defaultValue`, `groups`) are supported, see `PropSchema`
 * @returns
 */
-export default function map(propSchema) {
+export default function map(propSchema, additionalArgs) {
     propSchema = propSchema || _defaultPrimitiveProp
     invariant(isPropSchema(propSchema), "expected prop schema as first argument")
     invariant(!isAliasedPropSchema(propSchema), "provided prop is aliased, please put aliases first")
-    return {
-        serializer: function (m) {
+    var concurrency = additionalArgs && additionalArgs.concurrency
+    return processAdditionalPropArgs({
+        type: "map",
+        propSchema: propSchema,
+        serializer: function (m, propName, obj, context) {
             invariant(m && typeof m === "object", "expected object or Map")
             var isMap = isMapLike(m)
             var result = {}
             if (isMap)
                 m.forEach(function(value, key) {
-                    result[key] = propSchema.serializer(value)
+                    result[key] = propSchema.serializer(value, key, m, context)
                 })
             else for (var key in m)
-                result[key] = propSchema.serializer(m[key])
+                result[key] = propSchema.serializer(m[key], key, m, context)
             return result
         },
         deserializer: function(jsonObject, done, context, oldValue) {
             if (!jsonObject || typeof jsonObject !== "object")
                 return void done("[serializr] expected JSON object")
             var keys = Object.keys(jsonObject)
-            list(propSchema).deserializer(
-              keys.map(function (key) {
-                  return jsonObject[key]
-              }),
+            var existing = context.options.reconcile && oldValue && typeof oldValue === "object" ? oldValue : null
+            var rootContext = context.rootContext
+            context.parallel(
+              keys,
+              function (key, itemDone) {
+                  rootContext.path.push(key)
+                  try {
+                      var existingValue = !existing ? undefined
+                          : isMapLike(existing) ? existing.get(key)
+                          : Object.prototype.hasOwnProperty.call(existing, key) ? existing[key] : undefined
+                      return propSchema.deserializer(jsonObject[key], context.catchErrors(propSchema, jsonObject[key], itemDone, undefined), context, existingValue)
+                  } finally {
+                      rootContext.path.pop()
+                  }
+              },
               function (err, values) {
                   if (err)
                       return void done(err)
@@ -55,8 +72,8 @@ export default function map(propSchema) {
                           newValue[keys[i]] = values[i]
                   done(null, newValue)
               },
-              context
+              concurrency || context.options.concurrency
           )
         }
-    }
+    }, additionalArgs)
 }
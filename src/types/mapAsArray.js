@@ -1,4 +1,4 @@
-import { invariant, isPropSchema, isMapLike } from "../utils/utils"
+import { invariant, isPropSchema, isMapLike, processAdditionalPropArgs } from "../utils/utils"
 import { _defaultPrimitiveProp } from "../constants"
 import list from "./list"
 
@@ -9,19 +9,25 @@ import list from "./list"
  * Deserialization returns a ES6 Map or plain object object where the `keyPropertyName` of each object is used for keys.
  * For ES6 maps this has the benefit of being allowed to have non-string keys in the map. The serialized json also may be slightly more compact.
  *
+ * When updating with the `reconcile` option (see `update`), existing `object`s in the map are updated in place and reused,
+ * matching them with the json by their `identifier` (or by position if the model has no identifier).
+ *
  * @param {any} propSchema, {string} keyPropertyName - the property of stored objects used as key in the map
+ * @param {object} additionalArgs optional prop schema options (`required`, `defaultValue`, `groups`), see `PropSchema`
  * @returns
  */
-export default function mapAsArray(propSchema, keyPropertyName) {
+export default function mapAsArray(propSchema, keyPropertyName, additionalArgs) {
     propSchema = propSchema || _defaultPrimitiveProp
     invariant(isPropSchema(propSchema), "expected prop schema as first argument")
     invariant(!!keyPropertyName, "expected key property name as second argument")
-    return {
-        serializer: function (m) {
+    return processAdditionalPropArgs({
+        type: "mapAsArray",
+        propSchema: propSchema,
+        keyPropertyName: keyPropertyName,
+        serializer: function (m, propName, obj, context) {
             var result = []
-            // eslint-disable-next-line no-unused-vars
             m.forEach(function (value, key) {
-                result.push(propSchema.serializer(value))
+                result.push(propSchema.serializer(value, key, m, context))
             })
             return result
         },
@@ -39,14 +45,17 @@ export default function mapAsArray(propSchema, keyPropertyName) {
                   } else
                       newValue = {}
                   for (var i = 0, l = jsonArray.length; i < l; i++)
-                      if (isMap)
+                      if (values[i] === undefined)
+                          continue // skipped by validation
+                      else if (isMap)
                           newValue.set(values[i][keyPropertyName], values[i])
                       else
                           newValue[values[i][keyPropertyName].toString()] = values[i]
                   done(null, newValue)
               },
-              context
+              context,
+              oldValue
           )
         }
-    }
+    }, additionalArgs)
 }
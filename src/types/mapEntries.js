@@ -0,0 +1,87 @@
+import { invariant, isPropSchema, isAliasedPropSchema, isMapLike, parallel, processAdditionalPropArgs } from "../utils/utils"
+import { _defaultPrimitiveProp } from "../constants"
+
+/**
+ * `mapEntries` indicates that this property contains an ES6 `Map` (or map-like collection) of which both the keys and the values
+ * are (de)serialized using their own prop schema. The map is serialized as array of `[key, value]` pairs, so unlike `map`,
+ * keys that are not strings (numbers, dates, objects) survive a round trip.
+ * When deserializing, an existing map-like value of the property is recycled, otherwise a new `Map` is created.
+ *
+ * @example
+ * createModelSchema(Calendar, {
+ *     events: mapEntries(date(), list(object(Event))),
+ * });
+ *
+ * serialize(calendar);
+ * // { events: [[1533772800000, [{ title: "Meeting" }]]] }
+ *
+ * @param {PropSchema} keyPropSchema to be used to (de)serialize the keys of the map
+ * @param {PropSchema} valuePropSchema to be used to (de)serialize the values of the map
+ * @param {object} additionalArgs optional `concurrency`: the maximum number of entries that is deserialized at the same time, see `list`.
+ * Further the prop schema options (`required`, `defaultValue`, `groups`) are supported, see `PropSchema`
+ * @returns {PropSchema}
+ */
+export default function mapEntries(keyPropSchema, valuePropSchema, additionalArgs) {
+    keyPropSchema = keyPropSchema || _defaultPrimitiveProp
+    valuePropSchema = valuePropSchema || _defaultPrimitiveProp
+    invariant(isPropSchema(keyPropSchema), "expected prop schema as first argument")
+    invariant(isPropSchema(valuePropSchema), "expected prop schema as second argument")
+    invariant(!isAliasedPropSchema(keyPropSchema) && !isAliasedPropSchema(valuePropSchema), "provided prop is aliased, please put aliases first")
+    var concurrency = additionalArgs && additionalArgs.concurrency
+    return processAdditionalPropArgs({
+        type: "mapEntries",
+        keyPropSchema: keyPropSchema,
+        propSchema: valuePropSchema,
+        serializer: function (m, propName, obj, context) {
+            invariant(m && typeof m === "object", "expected object or Map")
+            var result = []
+            function addEntry(value, key) {
+                result.push([keyPropSchema.serializer(key, result.length, m, context), valuePropSchema.serializer(value, key, m, context)])
+            }
+            if (isMapLike(m))
+                m.forEach(addEntry)
+            else
+                Object.keys(m).forEach(function (key) {
+                    addEntry(m[key], key)
+                })
+            return result
+        },
+        deserializer: function (jsonEntries, done, context, oldValue) {
+            if (!Array.isArray(jsonEntries) || !jsonEntries.every(function (entry) {
+                return Array.isArray(entry) && entry.length === 2
+            }))
+                return void done("[serializr] expected JSON array of [key, value] pairs")
+            var rootContext = context.rootContext
+            context.parallel(
+                jsonEntries,
+                function (entry, entryDone, idx) {
+                    // the key and value of an entry are deserialized independently
+                    parallel(entry, function (jsonValue, itemDone, part) {
+                        var propSchema = part === 0 ? keyPropSchema : valuePropSchema
+                        rootContext.path.push(idx, part)
+                        try {
+                            return propSchema.deserializer(jsonValue, context.catchErrors(propSchema, jsonValue, itemDone, undefined), context)
+                        } finally {
+                            rootContext.path.splice(-2)
+                        }
+                    }, entryDone)
+                },
+                function (err, entries) {
+                    if (err)
+                        return void done(err)
+                    var newValue
+                    if (isMapLike(oldValue)) {
+                        oldValue.clear()
+                        newValue = oldValue
+                    } else
+                        newValue = new Map()
+                    entries.forEach(function (entry) {
+                        newValue.set(entry[0], entry[1])
+                    })
+                    done(null, newValue)
+                },
+                concurrency || context.options.concurrency
+            )
+        }
+    }, additionalArgs)
+}
@@ -0,0 +1,40 @@
+import { invariant, isPropSchema, isAliasedPropSchema, processAdditionalPropArgs } from "../utils/utils"
+import { _defaultPrimitiveProp } from "../constants"
+
+/**
+ * `nullable` indicates that this property can hold `null`, besides the values of the wrapped prop schema.
+ * `null` is serialized as `null`, and `null` in the json is deserialized as `null`, without invoking the wrapped prop schema.
+ * This makes it possible to use `null` for props like `list` and `map`, that don't accept it otherwise.
+ * The type information and options of the wrapped prop schema are kept.
+ *
+ * @example
+ * createModelSchema(Todo, {
+ *     tags: nullable(list(primitive())),
+ * });
+ *
+ * serialize(new Todo()); // { tags: null }
+ *
+ * @param {PropSchema} propSchema prop schema to (de)serialize values other than `null`
+ * @param {object} additionalArgs optional prop schema options (`required`, `defaultValue`, `groups`), see `PropSchema`
+ * @returns {PropSchema}
+ */
+export default function nullable(propSchema, additionalArgs) {
+    propSchema = (!propSchema || propSchema === true) ? _defaultPrimitiveProp : propSchema
+    invariant(isPropSchema(propSchema), "expected prop schema as first argument")
+    invariant(!isAliasedPropSchema(propSchema), "provided prop is aliased, please put aliases first")
+    var result = {}
+    for (var key in propSchema)
+        result[key] = propSchema[key]
+    result.nullable = true
+    result.serializer = function (value) {
+        if (value === null)
+            return null
+        return propSchema.serializer.apply(this, arguments)
+    }
+    result.deserializer = function (jsonValue, done) {
+        if (jsonValue === null)
+            return void done(null, null)
+        return propSchema.deserializer.apply(this, arguments)
+    }
+    return processAdditionalPropArgs(result, additionalArgs)
+}
@@ -1,7 +1,8 @@
-import { invariant, isModelSchema } from "../utils/utils"
+import { invariant, isModelSchema, processAdditionalPropArgs } from "../utils/utils"
 import getDefaultModelSchema from "../api/getDefaultModelSchema"
-import serialize from "../core/serialize"
-import { deserializeObjectWithSchema } from "../core/deserialize"
+import { serializeWithSchema } from "../core/serialize"
+import { deserializeObjectWithSchema, updateObjectWithSchema } from "../core/deserialize"
+import { canReconcile } from "../core/reconcile"
 
 /**
  * `object` indicates that this property contains an object that needs to be (de)serialized
@@ -28,25 +29,33 @@ import { deserializeObjectWithSchema } from "../core/deserialize"
  *     },
  * });
  *
+ * When updating with the `reconcile` option (see `update`), an existing child object is updated in place,
+ * unless the json describes an object with another identifier.
+ *
  * @param {ModelSchema} modelSchema to be used to (de)serialize the object
+ * @param {object} additionalArgs optional prop schema options (`required`, `defaultValue`, `groups`), see `PropSchema`
  * @returns {PropSchema}
  */
-export default function object(modelSchema) {
+export default function object(modelSchema, additionalArgs) {
     invariant(typeof modelSchema === "object" || typeof modelSchema === "function", "No modelschema provided. If you are importing it from another file be aware of circular dependencies.")
-    return {
-        serializer: function (item) {
+    return processAdditionalPropArgs({
+        type: "object",
+        modelSchema: modelSchema, // might be a class without model schema yet, use getDefaultModelSchema
+        serializer: function (item, key, obj, context) {
             modelSchema = getDefaultModelSchema(modelSchema)
             invariant(isModelSchema(modelSchema), "expected modelSchema, got " + modelSchema)
             if (item === null || item === undefined)
                 return item
-            return serialize(modelSchema, item)
+            return serializeWithSchema(modelSchema, item, context)
         },
-        deserializer: function (childJson, done, context) {
+        deserializer: function (childJson, done, context, oldValue) {
             modelSchema = getDefaultModelSchema(modelSchema)
             invariant(isModelSchema(modelSchema), "expected modelSchema, got " + modelSchema)
             if (childJson === null || childJson === undefined)
                 return void done(null, childJson)
+            if (context.options.reconcile && canReconcile(modelSchema, oldValue, childJson))
+                return void updateObjectWithSchema(context, modelSchema, oldValue, childJson, done)
             return void deserializeObjectWithSchema(context, modelSchema, childJson, done)
         }
-    }
+    }, additionalArgs)
 }
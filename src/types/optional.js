@@ -0,0 +1,42 @@
+import { invariant, isPropSchema, isAliasedPropSchema, processAdditionalPropArgs } from "../utils/utils"
+import { _defaultPrimitiveProp, SKIP } from "../constants"
+
+/**
+ * `optional` indicates that this property can be `undefined`, besides the values of the wrapped prop schema.
+ * An `undefined` value is left out of the json, regardless of the `undefinedProps` option of the model schema, and an
+ * `undefined` json value is deserialized as `undefined`, without invoking the wrapped prop schema.
+ * Combine it with `nullable` to accept both: `optional(nullable(list()))`.
+ * The type information and options of the wrapped prop schema are kept.
+ *
+ * @example
+ * createModelSchema(Todo, {
+ *     tags: optional(list(primitive())),
+ * });
+ *
+ * serialize(new Todo()); // {}
+ *
+ * @param {PropSchema} propSchema prop schema to (de)serialize values other than `undefined`
+ * @param {object} additionalArgs optional prop schema options (`defaultValue`, `groups`), see `PropSchema`
+ * @returns {PropSchema}
+ */
+export default function optional(propSchema, additionalArgs) {
+    propSchema = (!propSchema || propSchema === true) ? _defaultPrimitiveProp : propSchema
+    invariant(isPropSchema(propSchema), "expected prop schema as first argument")
+    invariant(!isAliasedPropSchema(propSchema), "provided prop is aliased, please put aliases first")
+    invariant(!propSchema.required && !(additionalArgs && additionalArgs.required), "an optional prop cannot be required")
+    var result = {}
+    for (var key in propSchema)
+        result[key] = propSchema[key]
+    result.optional = true
+    result.serializer = function (value) {
+        if (value === undefined)
+            return SKIP
+        return propSchema.serializer.apply(this, arguments)
+    }
+    result.deserializer = function (jsonValue, done) {
+        if (jsonValue === undefined)
+            return void done(null, undefined)
+        return propSchema.deserializer.apply(this, arguments)
+    }
+    return processAdditionalPropArgs(result, additionalArgs)
+}
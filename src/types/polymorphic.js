@@ -0,0 +1,84 @@
+import { invariant, isModelSchema, processAdditionalPropArgs, omitProp } from "../utils/utils"
+import getDefaultModelSchema from "../api/getDefaultModelSchema"
+import { serializeWithSchema } from "../core/serialize"
+import { deserializeObjectWithSchema } from "../core/deserialize"
+
+/**
+ * `polymorphic` indicates that this property contains an object which can be one of several model types.
+ * The type is stored in the json in the `discriminator` field, using the keys of `subtypes` as values.
+ *
+ * When serializing, the model schema of the value (or the closest schema up its `extends` chain) is looked
+ * up in `subtypes`. When deserializing, the discriminator value determines which model schema (and
+ * therefore which `factory`) is used.
+ *
+ * N.B. mind issues with circular dependencies when importing model schema's from other files! The module resolve algorithm might expose classes before `createModelSchema` is executed for the target class.
+ *
+ * @example
+ * class Shape {}
+ * class Circle extends Shape {}
+ * class Square extends Shape {}
+ *
+ * createModelSchema(Shape, { x: true, y: true });
+ * createModelSchema(Circle, { radius: true });
+ * createModelSchema(Square, { size: true });
+ * createModelSchema(Drawing, {
+ *     shapes: list(polymorphic({
+ *         discriminator: 'type',
+ *         subtypes: { circle: Circle, square: Square },
+ *     })),
+ * });
+ *
+ * serialize(drawing);
+ * // { shapes: [{ type: 'circle', x: 1, y: 2, radius: 3 }, { type: 'square', x: 0, y: 0, size: 4 }] }
+ *
+ * @param {object} options `discriminator`: name of the json field holding the type, `subtypes`: object mapping discriminator values to model schemas.
+ * The prop schema options `required`, `defaultValue` and `groups` are supported as well, see `PropSchema`
+ * @returns {PropSchema}
+ */
+export default function polymorphic(options) {
+    invariant(options && typeof options === "object", "expected options object")
+    var discriminator = options.discriminator
+    var subtypes = options.subtypes
+    invariant(typeof discriminator === "string" && !!discriminator, "expected 'discriminator' to be a string")
+    invariant(subtypes && typeof subtypes === "object", "expected 'subtypes' to be an object")
+
+    function getSubtypeSchema(type) {
+        var modelSchema = getDefaultModelSchema(subtypes[type])
+        invariant(isModelSchema(modelSchema), "expected modelSchema for subtype '" + type + "', got " + modelSchema)
+        return modelSchema
+    }
+
+    function findSubtype(modelSchema) {
+        while (modelSchema) {
+            for (var type in subtypes)
+                if (getSubtypeSchema(type) === modelSchema)
+                    return type
+            modelSchema = modelSchema.extends
+        }
+        return null
+    }
+
+    return processAdditionalPropArgs({
+        type: "polymorphic",
+        discriminator: discriminator,
+        subtypes: subtypes,
+        serializer: function (item, key, obj, context) {
+            if (item === null || item === undefined)
+                return item
+            var type = findSubtype(getDefaultModelSchema(item))
+            invariant(type !== null, "no polymorphic subtype registered for " + item)
+            var result = serializeWithSchema(getSubtypeSchema(type), item, context)
+            result[discriminator] = type
+            return result
+        },
+        deserializer: function (childJson, done, context) {
+            if (childJson === null || childJson === undefined)
+                return void done(null, childJson)
+            var type = childJson[discriminator]
+            if (!subtypes.hasOwnProperty(type))
+                return void done("[serializr] unknown polymorphic subtype '" + type + "' in field '" + discriminator + "'")
+            // the discriminator is not part of the model itself
+            return void deserializeObjectWithSchema(context, getSubtypeSchema(type), omitProp(childJson, discriminator), done)
+        }
+    }, options)
+}
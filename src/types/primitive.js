@@ -1,4 +1,4 @@
-import { invariant } from "../utils/utils"
+import { invariant, processAdditionalPropArgs } from "../utils/utils"
 import { isPrimitive } from "../utils/utils"
 
 /**
@@ -12,10 +12,12 @@ import { isPrimitive } from "../utils/utils"
  * console.dir(serialize(new Todo('test')));
  * // outputs: { title : "test" }
  *
+ * @param {object} additionalArgs optional prop schema options (`required`, `defaultValue`, `groups`), see `PropSchema`
  * @returns {ModelSchema}
  */
-export default function primitive() {
-    return {
+export default function primitive(additionalArgs) {
+    return processAdditionalPropArgs({
+        type: "primitive",
         serializer: function (value) {
             invariant(isPrimitive(value), "this value is not primitive: " + value)
             return value
@@ -25,5 +27,5 @@ export default function primitive() {
                 return void done("[serializr] this value is not primitive: " + jsonValue)
             return void done(null, jsonValue)
         }
-    }
+    }, additionalArgs)
 }
@@ -1,3 +1,5 @@
+import { processAdditionalPropArgs } from "../utils/utils"
+
 /**
  * Indicates that this field is only need to putted in the serialized json or
  * deserialized instance, without any transformations. Stay with its original value
@@ -10,15 +12,17 @@
  * console.dir(serialize(new Model({ rawData: { a: 1, b: [], c: {} } } })));
  * // outputs: { rawData: { a: 1, b: [], c: {} } } }
  *
+ * @param {object} additionalArgs optional prop schema options (`required`, `defaultValue`, `groups`), see `PropSchema`
  * @returns {ModelSchema}
  */
-export default function raw() {
-    return {
+export default function raw(additionalArgs) {
+    return processAdditionalPropArgs({
+        type: "raw",
         serializer: function (value) {
             return value
         },
         deserializer: function (jsonValue, done) {
             return void done(null, jsonValue)
         }
-    }
+    }, additionalArgs)
 }
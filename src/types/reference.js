@@ -1,4 +1,4 @@
-import { invariant, isModelSchema, getIdentifierProp } from "../utils/utils"
+import { invariant, isModelSchema, getIdentifierProp, processAdditionalPropArgs } from "../utils/utils"
 import getDefaultModelSchema from "../api/getDefaultModelSchema"
 
 function createDefaultRefLookup(modelSchema) {
@@ -7,6 +7,66 @@ function createDefaultRefLookup(modelSchema) {
     }
 }
 
+// collects the identifiers that are looked up synchronously (for example during one deserialize pass) and resolves them with a single batchLookup call.
+// Batches are kept per root context (shared by the items of a deserialized array), per batchLookup function and per model schema,
+// so the references of all props that refer to the same model schema with the same batchLookup function are combined
+function createBatchedRefLookup(batchLookup, getModelSchema) {
+    function flush(batches, modelSchema, batch) {
+        var byModelSchema = batches.get(batchLookup)
+        byModelSchema.delete(modelSchema)
+        if (byModelSchema.size === 0)
+            batches.delete(batchLookup)
+        var delivered = false
+        function deliver(err, results) {
+            delivered = true
+            if (!err && !(results && results.length === batch.ids.length))
+                err = "[serializr] batch lookup should return an array with a result for every identifier"
+            batch.callbacks.forEach(function (callbacks, idx) {
+                callbacks.forEach(function (cb) {
+                    if (err)
+                        cb(err)
+                    else
+                        cb(null, results[idx])
+                })
+            })
+        }
+        try {
+            batchLookup(batch.ids, deliver, batch.context)
+        } catch (e) {
+            if (delivered)
+                throw e // thrown by one of the callbacks
+            deliver(e)
+        }
+    }
+
+    return function resolve(uuid, cb, context) {
+        var rootContext = context.rootContext
+        var batches = rootContext.refBatches = rootContext.refBatches || new Map() // batchLookup: modelSchema: batch
+        var modelSchema = getModelSchema()
+        if (!batches.has(batchLookup))
+            batches.set(batchLookup, new Map())
+        var batch = batches.get(batchLookup).get(modelSchema)
+        if (!batch) {
+            batch = { context: context, ids: [], callbacks: [], indices: new Map() }
+            batches.get(batchLookup).set(modelSchema, batch)
+            Promise.resolve().then(function () {
+                flush(batches, modelSchema, batch)
+            }).catch(function (e) {
+                // report errors thrown by callbacks (such as unhandled deserialization errors) as uncaught, rather than as rejected promise
+                setTimeout(function () {
+                    throw e
+                })
+            })
+        }
+        if (!batch.indices.has(uuid)) {
+            batch.indices.set(uuid, batch.ids.length)
+            batch.ids.push(uuid)
+            batch.callbacks.push([])
+        }
+        batch.callbacks[batch.indices.get(uuid)].push(cb)
+    }
+}
+
 /**
  * `reference` can be used to (de)serialize references that point to other models.
  *
@@ -23,6 +83,21 @@ function createDefaultRefLookup(modelSchema) {
  *
  * The lookupFunction is optional. If it is not provided, it will try to find an object of the expected type and required identifier within the same JSON document
  *
+ * Instead of a lookup function, a `batchLookup` function can be passed as option. It resolves many identifiers at once:
+ * the identifiers that are encountered during one deserialization (including all items of a deserialized array) are collected and deduplicated,
+ * and passed in a single call as soon as the deserialization pass has completed. The identifiers of all `reference` props that refer to the
+ * same model schema with the same `batchLookup` function are combined. Its signature should be as follows:
+ *
+ * `batchLookup(identifiers, callback, context)` where:
+ * 1. `identifiers` is the array of unique identifiers being resolved
+ * 2. `callback` is a node style callback function to be invoked with an array holding the found object for every identifier (in the same order), or an error.
+ *    Errors thrown by `batchLookup` are handled like errors passed to the callback
+ * 3. `context` the context of the first reference in the batch
+ *
+ * As the lookup happens asynchronously, the deserialization callback is invoked asynchronously as well.
+ *
+ * When deserializing with an `identityMap` (see `IdentityMap`), references to instances in the identity map are resolved directly.
+ *
  * N.B. mind issues with circular dependencies when importing model schemas from other files! The module resolve algorithm might expose classes before `createModelSchema` is executed for the target class.
  *
  * @example
@@ -58,29 +133,52 @@ function createDefaultRefLookup(modelSchema) {
  *     }
  * );
  *
+ * @example
+ * createModelSchema(Order, {
+ *     customer: reference(Customer, {
+ *         batchLookup: (ids, callback) => fetchCustomers(ids).then(customers => callback(null, customers), callback),
+ *     }),
+ * });
+ *
  * @param target: ModelSchema or string
  * @param {RefLookupFunction} lookupFn function
+ * @param {object} additionalArgs optional `batchLookup` function, and the prop schema options (`required`, `defaultValue`, `groups`), see `PropSchema`
  * @returns {PropSchema}
  */
-export default function reference(target, lookupFn) {
+export default function reference(target, lookupFn, additionalArgs) {
     invariant(!!target, "No modelschema provided. If you are importing it from another file be aware of circular dependencies.")
+    if (lookupFn && typeof lookupFn === "object") {
+        additionalArgs = lookupFn
+        lookupFn = undefined
+    }
     var initialized = false
     var childIdentifierAttribute
+    var childModelSchema = null
     function initialize() {
         initialized = true
-        invariant(typeof target !== "string" || lookupFn, "if the reference target is specified by attribute name, a lookup function is required")
+        invariant(typeof target !== "string" || lookupFn || (additionalArgs && additionalArgs.batchLookup), "if the reference target is specified by attribute name, a lookup function is required")
         invariant(!lookupFn || typeof lookupFn === "function", "second argument should be a lookup function")
+        if (additionalArgs && additionalArgs.batchLookup) {
+            invariant(!lookupFn, "provide either a lookup function or a batchLookup function, not both")
+            invariant(typeof additionalArgs.batchLookup === "function", "batchLookup should be a function")
+            lookupFn = createBatchedRefLookup(additionalArgs.batchLookup, function () {
+                return childModelSchema
+            })
+        }
         if (typeof target === "string")
             childIdentifierAttribute = target
         else {
-            var modelSchema = getDefaultModelSchema(target)
-            invariant(isModelSchema(modelSchema), "expected model schema or string as first argument for 'ref', got " + modelSchema)
-            lookupFn = lookupFn || createDefaultRefLookup(modelSchema)
-            childIdentifierAttribute = getIdentifierProp(modelSchema)
+            childModelSchema = getDefaultModelSchema(target)
+            invariant(isModelSchema(childModelSchema), "expected model schema or string as first argument for 'ref', got " + childModelSchema)
+            lookupFn = lookupFn || createDefaultRefLookup(childModelSchema)
+            childIdentifierAttribute = getIdentifierProp(childModelSchema)
             invariant(!!childIdentifierAttribute, "provided model schema doesn't define an identifier() property and cannot be used by 'ref'.")
         }
     }
-    return {
+    return processAdditionalPropArgs({
+        type: "reference",
+        modelSchema: typeof target === "string" ? null : target, // might be a class without model schema yet, use getDefaultModelSchema
+        identifierAttribute: typeof target === "string" ? target : null,
         serializer: function (item) {
             if (!initialized)
                 initialize()
@@ -89,10 +187,15 @@ export default function reference(target, lookupFn) {
         deserializer: function(identifierValue, done, context) {
             if (!initialized)
                 initialize()
+            var identityMap = context.options.identityMap
             if (identifierValue === null || identifierValue === undefined)
                 done(null, identifierValue)
+            else if (typeof identifierValue === "object")
+                done("[serializr] expected identifier, got: " + JSON.stringify(identifierValue))
+            else if (identityMap && childModelSchema && identityMap.has(childModelSchema, identifierValue))
+                done(null, identityMap.get(childModelSchema, identifierValue))
             else
                 lookupFn(identifierValue, done, context)
         }
-    }
+    }, additionalArgs)
 }
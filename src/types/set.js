@@ -0,0 +1,62 @@
+import { invariant, isPropSchema, isAliasedPropSchema, isSetLike, processAdditionalPropArgs } from "../utils/utils"
+import { _defaultPrimitiveProp } from "../constants"
+import list from "./list"
+
+/**
+ * `set` indicates that this property contains a `Set` (or set-like collection) of things, which is serialized as array.
+ * Accepts a prop schema to (de)serialize the values.
+ * When deserializing, an existing set-like value of the property is recycled, otherwise a new `Set` is created.
+ *
+ * @example
+ * createModelSchema(Todo, {
+ *     tags: set(primitive()),
+ * });
+ *
+ * const todo = deserialize(Todo, { tags: ["urgent", "work"] });
+ * todo.tags.has("urgent"); // true
+ *
+ * @param {PropSchema} propSchema to be used to (de)serialize the values of the set
+ * @param {object} additionalArgs optional `concurrency` (see `list`), and the prop schema options (`required`, `defaultValue`, `groups`), see `PropSchema`
+ * @returns {PropSchema}
+ */
+export default function set(propSchema, additionalArgs) {
+    propSchema = propSchema || _defaultPrimitiveProp
+    invariant(isPropSchema(propSchema), "expected prop schema as first argument")
+    invariant(!isAliasedPropSchema(propSchema), "provided prop is aliased, please put aliases first")
+    var listSchema = list(propSchema, additionalArgs && { concurrency: additionalArgs.concurrency })
+    return processAdditionalPropArgs({
+        type: "set",
+        propSchema: propSchema,
+        serializer: function (s, key, obj, context) {
+            invariant(s && typeof s.forEach === "function", "expected Set (like) object")
+            var result = []
+            s.forEach(function (value) {
+                result.push(propSchema.serializer(value, result.length, s, context))
+            })
+            return result
+        },
+        deserializer: function (jsonArray, done, context, oldValue) {
+            listSchema.deserializer(
+                jsonArray,
+                function (err, values) {
+                    if (err)
+                        return void done(err)
+                    var newValue
+                    if (isSetLike(oldValue)) {
+                        // recycle the existing set, like `map` does
+                        oldValue.clear()
+                        newValue = oldValue
+                    } else
+                        newValue = new Set()
+                    values.forEach(function (value) {
+                        if (value !== undefined) // skipped by validation
+                            newValue.add(value)
+                    })
+                    done(null, newValue)
+                },
+                context,
+                oldValue
+            )
+        }
+    }, additionalArgs)
+}
@@ -0,0 +1,57 @@
+import { invariant, isPropSchema, isAliasedPropSchema, parallel, processAdditionalPropArgs } from "../utils/utils"
+
+/**
+ * `tuple` indicates that this property contains a fixed length array, of which every position is (de)serialized
+ * using its own prop schema. Deserialization fails if the length of the json array doesn't match.
+ *
+ * @example
+ * createModelSchema(Measurement, {
+ *     location: tuple([primitive(), primitive(), date()]),
+ * });
+ *
+ * serialize(measurement); // { location: [52.09, 5.12, 1533772800000] }
+ *
+ * @param {PropSchema[]} propSchemas the prop schemas of the positions of the array
+ * @param {object} additionalArgs optional prop schema options (`required`, `defaultValue`, `groups`), see `PropSchema`
+ * @returns {PropSchema}
+ */
+export default function tuple(propSchemas, additionalArgs) {
+    invariant(Array.isArray(propSchemas) && propSchemas.length > 0, "expected array of prop schemas as first argument")
+    propSchemas.forEach(function (propSchema, idx) {
+        invariant(isPropSchema(propSchema), "expected prop schema at position " + idx)
+        invariant(!isAliasedPropSchema(propSchema), "provided prop is aliased, please put aliases first")
+    })
+    var length = propSchemas.length
+    return processAdditionalPropArgs({
+        type: "tuple",
+        propSchemas: propSchemas,
+        serializer: function (ar, key, obj, context) {
+            if (ar === null || ar === undefined)
+                return ar
+            invariant(ar && ar.length === length, "expected array of length " + length)
+            return propSchemas.map(function (propSchema, idx) {
+                return propSchema.serializer(ar[idx], idx, ar, context)
+            })
+        },
+        deserializer: function (jsonArray, done, context) {
+            if (jsonArray === null || jsonArray === undefined)
+                return void done(null, jsonArray)
+            if (!Array.isArray(jsonArray) || jsonArray.length !== length)
+                return void done("[serializr] expected JSON array of length " + length)
+            parallel(
+                jsonArray,
+                function (item, itemDone, idx) {
+                    var propSchema = propSchemas[idx]
+                    var rootContext = context.rootContext
+                    rootContext.path.push(idx)
+                    try {
+                        return propSchema.deserializer(item, context.catchErrors(propSchema, item, itemDone, undefined), context)
+                    } finally {
+                        rootContext.path.pop()
+                    }
+                },
+                done
+            )
+        }
+    }, additionalArgs)
+}
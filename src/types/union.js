@@ -0,0 +1,76 @@
+import { invariant, isPropSchema, isAliasedPropSchema, processAdditionalPropArgs } from "../utils/utils"
+
+/**
+ * `union` indicates that this property holds a value that can be (de)serialized by one of several prop schemas,
+ * for example either a string id or an embedded object, or either a number or a list of numbers.
+ *
+ * By default the prop schemas are tried in order: when serializing, the first prop schema that doesn't throw is used,
+ * and when deserializing, the first prop schema of which the deserializer doesn't report an error. So put the most specific
+ * prop schemas first. Each prop schema is tried in a separate context, so that errors in the props of a nested object
+ * make the union try the next prop schema as well. A prop schema is only used once it has delivered a value: a `reference`
+ * waits for the referred object, and fails on json values that are not identifiers.
+ * Alternatively, the `discriminate` option picks the prop schema: a function `(value, context) => index`, that receives
+ * the property value when serializing, and the json value when deserializing.
+ *
+ * @example
+ * createModelSchema(Todo, {
+ *     owner: union([primitive(), object(User)], { discriminate: value => (typeof value === "object" ? 1 : 0) }),
+ *     estimate: union([primitive(), list(primitive())]),
+ * });
+ *
+ * serialize(todo); // { owner: "u1", estimate: [3, 5] }
+ *
+ * @param {PropSchema[]} propSchemas the alternative prop schemas
+ * @param {object} additionalArgs optional `discriminate` function, and the prop schema options (`required`, `defaultValue`, `groups`), see `PropSchema`
+ * @returns {PropSchema}
+ */
+export default function union(propSchemas, additionalArgs) {
+    invariant(Array.isArray(propSchemas) && propSchemas.length > 0, "expected array of prop schemas as first argument")
+    propSchemas.forEach(function (propSchema, idx) {
+        invariant(isPropSchema(propSchema), "expected prop schema at position " + idx)
+        invariant(!isAliasedPropSchema(propSchema), "provided prop is aliased, please put aliases first")
+    })
+    var discriminate = additionalArgs && additionalArgs.discriminate
+    invariant(!discriminate || typeof discriminate === "function", "expected discriminate to be a function")
+
+    function getPropSchema(value, context) {
+        var idx = discriminate(value, context)
+        invariant(propSchemas[idx] !== undefined, "discriminate should return the index of one of the prop schemas, got " + idx)
+        return propSchemas[idx]
+    }
+
+    return processAdditionalPropArgs({
+        type: "union",
+        propSchemas: propSchemas,
+        serializer: function (value, key, obj, context) {
+            if (discriminate)
+                return getPropSchema(value, context).serializer(value, key, obj, context)
+            var lastError
+            for (var i = 0; i < propSchemas.length; i++) {
+                try {
+                    return propSchemas[i].serializer(value, key, obj, context)
+                } catch (e) {
+                    lastError = e
+                }
+            }
+            throw lastError
+        },
+        deserializer: function (jsonValue, done, context, oldValue) {
+            if (discriminate)
+                return void getPropSchema(jsonValue, context).deserializer(jsonValue, done, context, oldValue)
+            function tryPropSchema(idx) {
+                if (idx === propSchemas.length)
+                    return void done("[serializr] expected value that matches one of the prop schemas of the union, got: " + JSON.stringify(jsonValue))
+                context.tryDeserialize(jsonValue, function (trialContext, trialDone) {
+                    propSchemas[idx].deserializer(jsonValue, trialDone, trialContext, oldValue)
+                }, function (err, value) {
+                    if (err)
+                        tryPropSchema(idx + 1)
+                    else
+                        done(null, value)
+                })
+            }
+            tryPropSchema(0)
+        }
+    }, additionalArgs)
+}
@@ -19,14 +19,23 @@ export function invariant(cond, message) {
         throw new Error("[serializr] " + (message || "Illegal State"))
 }
 
-export function parallel(ar, processor, cb) {
-  // TODO: limit parallelization?
+/**
+ * Invokes the processor for all items, and the callback with the results (in the order of the items) once all of them are done.
+ * If a concurrency is given, at most that many processors are in progress at the same time.
+ */
+export function parallel(ar, processor, cb, concurrency) {
+    invariant(concurrency === undefined || concurrency === null || (concurrency >= 1 && concurrency % 1 === 0), "expected concurrency to be a positive integer")
     if (ar.length === 0)
         return void cb(null, [])
+    var limit = concurrency || Infinity
     var left = ar.length
     var resultArray = []
     var failed = false
+    var started = 0
+    var running = 0
+    var starting = false
     var processorCb = function(idx, err, result) {
+        running--
         if (err) {
             if (!failed) {
                 failed = true
@@ -36,11 +45,113 @@ export function parallel(ar, processor, cb) {
             resultArray[idx] = result
             if (--left === 0)
                 cb(null, resultArray)
+            else
+                start()
         }
     }
-    ar.forEach(function (value, idx) {
-        processor(value, processorCb.bind(null, idx))
-    })
+    // processors that complete synchronously don't start new ones recursively, the loop picks those up
+    function start() {
+        if (starting)
+            return
+        starting = true
+        while (running < limit && started < ar.length) {
+            var idx = started++
+            running++
+            processor(ar[idx], processorCb.bind(null, idx), idx)
+        }
+        starting = false
+    }
+    start()
+}
+
+/**
+ * Applies the options shared by all built-in prop schemas to the given prop schema:
+ * - `required`: deserialization fails if the property is absent in the json
+ * - `defaultValue`: value (or function producing the value) that is used if the property is absent in the json or `null`
+ * - `groups`: serialization groups the property belongs to, see the `groups` option of `serialize`
+ */
+export function processAdditionalPropArgs(propSchema, additionalArgs) {
+    if (additionalArgs) {
+        invariant(typeof additionalArgs === "object", "expected prop schema options to be an object")
+        if (additionalArgs.required)
+            propSchema.required = true
+        if (additionalArgs.defaultValue !== undefined)
+            propSchema.defaultValue = additionalArgs.defaultValue
+        if (additionalArgs.groups !== undefined) {
+            invariant(Array.isArray(additionalArgs.groups) && additionalArgs.groups.every(function (group) {
+                return typeof group === "string"
+            }), "expected groups to be an array of strings")
+            propSchema.groups = additionalArgs.groups
+        }
+    }
+    return propSchema
+}
+
+export var HOOKS = ["beforeDeserialize", "afterDeserialize", "beforeSerialize", "afterSerialize"]
+
+// schema options that are inherited by model schemas that extend the schema
+export var INHERITED_OPTIONS = HOOKS.concat("undefinedProps")
+
+/**
+ * Returns the given lifecycle hook (or inherited option) of the model schema, or of the closest super schema that defines it
+ */
+export function getSchemaHook(modelSchema, hook) {
+    if (modelSchema.compiled && hook in modelSchema.compiled.hooks)
+        return modelSchema.compiled.hooks[hook]
+    while (modelSchema) {
+        if (modelSchema[hook])
+            return modelSchema[hook]
+        modelSchema = modelSchema.extends
+    }
+    return null
+}
+
+/**
+ * Applies the options shared by `createModelSchema` and `createSimpleSchema` to the given model schema
+ */
+export function processSchemaOptions(modelSchema, options) {
+    if (options) {
+        if (options.name !== undefined) {
+            invariant(typeof options.name === "string" && !!options.name, "expected schema name to be a non-empty string")
+            modelSchema.name = options.name
+        }
+        if (options.strict)
+            modelSchema.strict = true
+        if (options.version !== undefined) {
+            invariant(typeof options.version === "number" && options.version >= 0 && options.version % 1 === 0, "expected schema version to be a non-negative integer")
+            modelSchema.version = options.version
+        }
+        if (options.undefinedProps !== undefined) {
+            invariant(options.undefinedProps === "omit" || options.undefinedProps === "null", "expected undefinedProps to be 'omit' or 'null'")
+            modelSchema.undefinedProps = options.undefinedProps
+        }
+        HOOKS.forEach(function (hook) {
+            if (options[hook] !== undefined) {
+                invariant(typeof options[hook] === "function", "expected '" + hook + "' hook to be a function")
+                modelSchema[hook] = options[hook]
+            }
+        })
+        if (options.migrations) {
+            invariant(modelSchema.version !== undefined, "migrations can only be used together with a schema version")
+            Object.keys(options.migrations).forEach(function (version) {
+                invariant(typeof options.migrations[version] === "function", "expected migration for version " + version + " to be a function")
+            })
+            modelSchema.migrations = options.migrations
+        }
+    }
+    return modelSchema
+}
+
+export function getDefaultValue(propSchema) {
+    return typeof propSchema.defaultValue === "function" ? propSchema.defaultValue() : propSchema.defaultValue
+}
+
+export function omitProp(obj, propName) {
+    var res = {}
+    for (var key in obj)
+        if (key !== propName)
+            res[key] = obj[key]
+    return res
 }
 
 export function isPrimitive(value) {
@@ -49,6 +160,21 @@ export function isPrimitive(value) {
     return typeof value !== "object" && typeof value !== "function"
 }
 
+// deep equality of json values
+export function jsonEquals(a, b) {
+    if (a === b)
+        return true
+    if (!a || !b || typeof a !== "object" || typeof b !== "object" || Array.isArray(a) !== Array.isArray(b))
+        return false
+    var keys = Object.keys(a)
+    if (keys.length !== Object.keys(b).length)
+        return false
+    for (var i = 0; i < keys.length; i++)
+        if (!Object.prototype.hasOwnProperty.call(b, keys[i]) || !jsonEquals(a[keys[i]], b[keys[i]]))
+            return false
+    return true
+}
+
 export function isModelSchema(thing) {
     return thing && thing.factory && thing.props
 }
@@ -74,13 +200,18 @@ export function isAssignableTo(actualType, expectedType) {
     return false
 }
 
+export function isSetLike(thing) {
+    return thing && typeof thing.add === "function" && typeof thing.has === "function" && typeof thing.clear === "function"
+}
+
 export function isMapLike(thing) {
     return thing && typeof thing.keys === "function" && typeof thing.clear === "function"
 }
 
 export function getIdentifierProp(modelSchema) {
     invariant(isModelSchema(modelSchema))
-    // optimization: cache this lookup
+    if (modelSchema.compiled)
+        return modelSchema.compiled.identifierProp
     while (modelSchema) {
         for (var propName in modelSchema.props)
             if (typeof modelSchema.props[propName] === "object" && modelSchema.props[propName].identifier === true)
@@ -89,3 +220,28 @@ export function getIdentifierProp(modelSchema) {
     }
     return null
 }
+
+// returns the json name of the identifier prop of the model schema, taking aliases into account
+export function getIdentifierJsonName(modelSchema) {
+    var identifierProp = getIdentifierProp(modelSchema)
+    for (var current = modelSchema; identifierProp && current; current = current.extends)
+        if (current.props[identifierProp])
+            return current.props[identifierProp].jsonname || identifierProp
+    return identifierProp
+}
+
+export function formatJsonPath(path) {
+    return path.reduce(function (res, segment) {
+        if (typeof segment === "number")
+            return res + "[" + segment + "]"
+        return res ? res + "." + segment : String(segment)
+    }, "")
+}
+
+export function createValidationError(errors) {
+    var error = new Error("[serializr] validation failed: " + errors.map(function (problem) {
+        return (problem.path || "(root)") + ": " + problem.message
+    }).join(", "))
+    error.errors = errors
+    return error
+}
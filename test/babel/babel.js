@@ -1,4 +1,4 @@
-import {serializable, primitive, serialize, deserialize, list, object, reference, identifier, serializeAll} from "../../";
+import {serializable, primitive, serialize, deserialize, list, object, reference, identifier, serializeAll, serializationHooks} from "../../";
 import {observable, autorun} from "mobx";
 
 const test = require("tape");
@@ -155,3 +155,25 @@ test("@serializeAll (babel)", t => {
 
     t.end()
 })
+
+
+test("@serializationHooks (babel)", t => {
+    @serializationHooks({
+        beforeDeserialize: json => Object.assign({}, json, { title: json.title.trim() }),
+        afterDeserialize: todo => { todo.initialized = true },
+        afterSerialize: (json, todo) => Object.assign(json, { length: todo.title.length })
+    })
+    class Todo {
+        @serializable title = ""
+        initialized = false
+    }
+
+    const todo = deserialize(Todo, { title: "  test " })
+    t.ok(todo instanceof Todo)
+    t.equal(todo.title, "test")
+    t.equal(todo.initialized, true)
+    t.deepEqual(serialize(todo), { title: "test", length: 4 })
+
+    t.throws(() => serializationHooks({ afterSave: () => {} }), /unknown hook 'afterSave'/)
+    t.end()
+})
@@ -283,6 +283,67 @@ test("async error handling with handler", t => {
     })
 })
 
+test("deserializeAsync resolves once references are resolved", t => {
+    var users = { 1: { id: 1, name: "Alice" } }
+    var post = _.createSimpleSchema({
+        message: true,
+        author: _.ref("id", (id, cb) => setImmediate(() => cb(null, users[id])))
+    })
+
+    _.deserializeAsync(post, { message: "hi", author: 1 }).then(res => {
+        t.equal(res.message, "hi")
+        t.ok(res.author === users[1])
+        return _.deserializeAsync(post, [{ message: "a", author: 1 }, { message: "b", author: null }])
+    }).then(res => {
+        t.equal(res.length, 2)
+        t.ok(res[0].author === users[1])
+        t.equal(res[1].author, null)
+        t.end()
+    }).catch(t.end)
+})
+
+test("deserializeAsync rejects with the deserialization error", t => {
+    var parent = _.createSimpleSchema({
+        r: _.list(_.ref("id", (id, cb) => setImmediate(() => cb(id === 42 ? "oops" : null, null))))
+    })
+
+    _.deserializeAsync(parent, { r: [1, 42] }).then(() => {
+        t.fail("should not resolve")
+        t.end()
+    }, err => {
+        t.equal(err, "oops")
+        t.end()
+    })
+})
+
+test("updateAsync resolves to the updated target", t => {
+    function Todo() {
+        this.title = "test"
+        this.done = false
+    }
+    _.createModelSchema(Todo, {
+        title: true,
+        done: _.custom(v => v, (v, context, oldValue, cb) => setImmediate(() => cb(null, v)))
+    })
+
+    var todo = new Todo()
+    _.updateAsync(todo, { done: true }).then(res => {
+        t.ok(res === todo)
+        t.equal(todo.done, true)
+        return _.updateAsync(Todo, todo, { title: "bloop" }, "args")
+    }).then(res => {
+        t.ok(res === todo)
+        t.equal(todo.title, "bloop")
+        return _.updateAsync(todo, { title: {} })
+    }).then(() => {
+        t.fail("should not resolve")
+        t.end()
+    }, err => {
+        t.ok(/not primitive/.test(err))
+        t.end()
+    })
+})
+
 test("default reference resolving", t => {
     function Store() {
         this.boxes = []
@@ -494,4 +555,1227 @@ test("identifier can register themselves", t => {
         2: { id: 2, title: "test2" }
     })
     t.end()
-})
\ No newline at end of file
+})
+test("it should support polymorphic children", t => {
+    class Shape {}
+    class Circle extends Shape {}
+    class Square extends Shape {}
+    class BigSquare extends Square {}
+    function Drawing() {
+        this.shapes = []
+    }
+
+    _.createModelSchema(Shape, {
+        id: _.identifier(),
+        x: true
+    })
+    _.createModelSchema(Circle, {
+        radius: true
+    })
+    _.createModelSchema(Square, {
+        size: true
+    })
+    var shape = _.polymorphic({
+        discriminator: "type",
+        subtypes: { circle: Circle, square: Square }
+    })
+    _.createModelSchema(Drawing, {
+        shapes: _.list(shape),
+        selected: shape,
+        focus: _.ref(Shape)
+    })
+
+    var json = {
+        shapes: [
+            { id: 1, x: 1, radius: 3, type: "circle" },
+            { id: 2, x: 2, size: 4, type: "square" },
+            null
+        ],
+        selected: { id: 3, x: 0, size: 2, type: "square" },
+        focus: 1
+    }
+
+    _.deserialize(Drawing, json, (err, drawing) => {
+        t.notOk(err)
+        t.ok(drawing.shapes[0] instanceof Circle)
+        t.ok(drawing.shapes[1] instanceof Square)
+        t.equal(drawing.shapes[2], null)
+        t.ok(drawing.selected instanceof Square)
+        t.ok(drawing.focus === drawing.shapes[0])
+        t.deepEqual(_.serialize(drawing), json)
+
+        // subclasses without own subtype fall back to the closest registered one
+        var big = new BigSquare()
+        big.id = 4
+        big.x = 1
+        big.size = 10
+        t.deepEqual(shape.serializer(big), { id: 4, x: 1, size: 10, type: "square" })
+        t.throws(() => shape.serializer(new Shape()), /no polymorphic subtype registered/)
+
+        _.deserialize(Drawing, { shapes: [{ type: "triangle" }] }, err => {
+            t.equal(err, "[serializr] unknown polymorphic subtype 'triangle' in field 'type'")
+            t.end()
+        })
+    })
+})
+
+test("createModelSchema accepts an options object", t => {
+    function Todo() {}
+    var created = 0
+    _.createModelSchema(Todo, {
+        title: true
+    }, {
+        factory: () => {
+            created++
+            return new Todo()
+        },
+        strict: true
+    })
+
+    t.ok(_.deserialize(Todo, { title: "test" }) instanceof Todo)
+    t.equal(created, 1)
+    t.throws(() => _.deserialize(Todo, { title: "test", done: true }), /unknown properties in json: "done"/)
+
+    // polymorphic discriminators are not considered unknown
+    var holder = _.createSimpleSchema({
+        todo: _.polymorphic({ discriminator: "kind", subtypes: { todo: Todo } })
+    }, { strict: true })
+    t.ok(_.deserialize(holder, { todo: { kind: "todo", title: "test" } }).todo instanceof Todo)
+
+    t.end()
+})
+
+test("it should (de)serialize shared and cyclic references in graph mode", t => {
+    function Person(name) {
+        this.name = name
+        this.friends = []
+        this.partner = null
+    }
+    function Family() {
+        this.members = []
+    }
+    _.createModelSchema(Person, {
+        name: true,
+        friends: _.list(_.object(Person)),
+        partner: _.object(Person)
+    })
+    _.createModelSchema(Family, {
+        members: _.list(_.object(Person)),
+        head: _.object(Person)
+    })
+
+    var alice = new Person("alice")
+    var bob = new Person("bob")
+    var carol = new Person("carol")
+    alice.partner = bob
+    bob.partner = alice // cycle
+    alice.friends.push(carol)
+    bob.friends.push(carol) // shared
+    var family = new Family()
+    family.members.push(alice, bob)
+    family.head = alice
+
+    t.throws(() => _.serialize(family), RangeError)
+
+    var json = _.serialize(family, { graph: true })
+    t.deepEqual(json, {
+        $id: "1",
+        members: [
+            {
+                $id: "2",
+                name: "alice",
+                friends: [{ $id: "3", name: "carol", friends: [], partner: null }],
+                partner: {
+                    $id: "4",
+                    name: "bob",
+                    friends: [{ $ref: "3" }],
+                    partner: { $ref: "2" }
+                }
+            },
+            { $ref: "4" }
+        ],
+        head: { $ref: "2" }
+    })
+    t.deepEqual(_.serialize(Family, family, { graph: true }), json)
+
+    _.deserialize(Family, json, (err, res) => {
+        t.notOk(err)
+        var a = res.members[0], b = res.members[1]
+        t.ok(a instanceof Person)
+        t.equal(a.name, "alice")
+        t.ok(res.head === a)
+        t.ok(a.partner === b)
+        t.ok(b.partner === a)
+        t.ok(a.friends[0] === b.friends[0])
+        t.equal(a.friends[0].name, "carol")
+        t.deepEqual(_.serialize(res, { graph: true }), json)
+    }, null, { graph: true })
+
+    // arrays share their references as well
+    var people = _.serialize([alice, bob], { graph: true })
+    t.deepEqual(people[1], { $ref: "3" })
+    _.deserialize(Person, people, (err, res) => {
+        t.notOk(err)
+        t.ok(res[0].partner === res[1])
+        t.ok(res[1].partner === res[0])
+    }, null, { graph: true })
+
+    var updated = new Person()
+    _.update(updated, { $id: "1", name: "x", partner: { name: "y", partner: { $ref: "1" } } }, (err) => {
+        t.notOk(err)
+        t.ok(updated.partner.partner === updated)
+    }, null, { graph: true })
+
+    t.throws(() => _.deserialize(Family, { head: { $ref: "9" } }, null, null, { graph: true }), /Unresolvable references in json: "9"/)
+    _.deserialize(Family, { head: "oops" }, err => {
+        t.ok(/expected JSON object, got: "oops"/.test(err))
+        t.end()
+    }, null, { graph: true })
+})
+
+test("it should migrate versioned json", t => {
+    function Todo() {}
+    _.createModelSchema(Todo, {
+        title: true,
+        done: true,
+        tags: _.list(_.primitive())
+    }, {
+        version: 3,
+        migrations: {
+            // v1 -> v2: 'text' was renamed to 'title'
+            2: json => {
+                var res = Object.assign({}, json, { title: json.text })
+                delete res.text
+                return res
+            },
+            // v2 -> v3: 'tags' was introduced
+            3: json => Object.assign({ tags: [] }, json)
+        }
+    })
+    function TodoList() {}
+    _.createModelSchema(TodoList, {
+        todos: _.list(_.object(Todo))
+    }, { version: 1 })
+
+    var todo = new Todo()
+    todo.title = "test"
+    todo.done = false
+    todo.tags = ["a"]
+    t.deepEqual(_.serialize(todo), { $version: 3, title: "test", done: false, tags: ["a"] })
+
+    var fromV1 = _.deserialize(Todo, { $version: 1, text: "old", done: true })
+    t.ok(fromV1 instanceof Todo)
+    t.deepEqual(Object.assign({}, fromV1), { title: "old", done: true, tags: [] })
+    t.deepEqual(Object.assign({}, _.deserialize(Todo, { $version: 2, title: "x", done: true })), { title: "x", done: true, tags: [] })
+    // unversioned json runs through all migrations
+    t.equal(_.deserialize(Todo, { text: "older" }).title, "older")
+    t.deepEqual(Object.assign({}, _.deserialize(Todo, _.serialize(todo))), { title: "test", done: false, tags: ["a"] })
+
+    t.throws(() => _.deserialize(Todo, { $version: 4, title: "new" }), /cannot deserialize json with version 4, the schema has version 3/)
+    t.throws(() => _.deserialize(Todo, { $version: "1", title: "new" }), /invalid \$version in json: "1", expected a non-negative integer/)
+    t.throws(() => _.deserialize(Todo, { $version: 1.5, title: "new" }), /invalid \$version in json: 1.5/)
+
+    // nested objects are migrated according to their own version
+    var list = new TodoList()
+    list.todos = [todo]
+    t.deepEqual(_.serialize(list), { $version: 1, todos: [{ $version: 3, title: "test", done: false, tags: ["a"] }] })
+    var res = _.deserialize(TodoList, { $version: 1, todos: [{ $version: 1, text: "nested", done: false }] })
+    t.equal(res.todos[0].title, "nested")
+
+    // versions are stripped before strict checks
+    t.doesNotThrow(() => _.deserialize(Todo, { $version: 3, title: "x", done: true, tags: [] }, null, null, { strict: true }))
+
+    var target = new Todo()
+    _.update(target, { $version: 1, text: "updated" })
+    t.equal(target.title, "updated")
+    // json without $version is a partial update in the current version
+    _.update(target, { done: true })
+    t.deepEqual(Object.assign({}, target), { title: "updated", done: true, tags: [] })
+
+    t.throws(() => _.createSimpleSchema({}, { migrations: { 1: x => x } }), /migrations can only be used together with a schema version/)
+    t.throws(() => _.createSimpleSchema({}, { version: "1" }), /expected schema version to be a non-negative integer/)
+    t.end()
+})
+
+test("it should export model schemas as JSON Schema", t => {
+    class Base {}
+    class User extends Base {}
+    class Comment {}
+    class Post {}
+    _.createModelSchema(Base, {
+        id: _.identifier()
+    })
+    _.createModelSchema(User, {
+        name: _.alias("displayName", _.primitive({ required: true })),
+        birthday: _.date({ format: "isoDate" }),
+        secret: false
+    })
+    _.createModelSchema(Comment, {
+        author: _.reference(User),
+        text: true,
+        replies: _.list(_.object(Comment))
+    })
+    _.createModelSchema(Post, {
+        owner: _.object(User),
+        comments: _.mapAsArray(_.object(Comment), "id"),
+        tags: _.map(_.primitive()),
+        created: _.date({ format: "iso" }),
+        data: _.raw(),
+        related: _.list(_.object(Post)),
+        attachment: _.polymorphic({ discriminator: "kind", subtypes: { user: User } })
+    }, { version: 2 })
+
+    var primitives = ["string", "number", "boolean", "null"]
+    t.deepEqual(_.toJSONSchema(Post), {
+        $schema: "http://json-schema.org/draft-07/schema#",
+        type: "object",
+        properties: {
+            $version: { const: 2 },
+            owner: { anyOf: [{ $ref: "#/$defs/User" }, { type: "null" }] },
+            comments: { type: "array", items: { anyOf: [{ $ref: "#/$defs/Comment" }, { type: "null" }] } },
+            tags: { type: "object", additionalProperties: { type: primitives } },
+            created: { type: ["string", "null"], format: "date-time" },
+            data: {},
+            related: { type: "array", items: { anyOf: [{ $ref: "#" }, { type: "null" }] } },
+            attachment: { anyOf: [{ oneOf: [{ allOf: [
+                { $ref: "#/$defs/User" },
+                { type: "object", properties: { kind: { const: "user" } }, required: ["kind"] }
+            ] }] }, { type: "null" }] }
+        },
+        $defs: {
+            User: {
+                type: "object",
+                properties: {
+                    id: { type: ["string", "number"] },
+                    displayName: { type: primitives },
+                    birthday: { type: ["string", "null"], format: "date" }
+                },
+                required: ["displayName"]
+            },
+            Comment: {
+                type: "object",
+                properties: {
+                    author: { type: ["string", "number", "null"] },
+                    text: { type: primitives },
+                    replies: { type: "array", items: { anyOf: [{ $ref: "#/$defs/Comment" }, { type: "null" }] } }
+                }
+            }
+        }
+    })
+
+    t.deepEqual(_.toJSONSchema(_.createSimpleSchema({ "*": true, a: _.custom(x => x, x => x) })), {
+        $schema: "http://json-schema.org/draft-07/schema#",
+        type: "object",
+        properties: { a: {} },
+        additionalProperties: { type: primitives }
+    })
+    t.end()
+})
+
+test("it should run lifecycle hooks", t => {
+    var events = []
+    function User(id) {
+        this.id = id
+    }
+    function Post() {}
+    function Draft() {}
+    var users = { 1: new User(1) }
+    _.createModelSchema(User, {
+        id: _.identifier()
+    })
+    _.createModelSchema(Post, {
+        title: true,
+        author: _.reference(User, (id, cb) => setImmediate(() => cb(null, users[id]))),
+        comments: _.list(_.object(Post))
+    }, {
+        beforeDeserialize: (json, context) => {
+            events.push("before " + json.title)
+            t.ok(context.json === json)
+            if (typeof json.title === "number")
+                return Object.assign({}, json, { title: "#" + json.title })
+        },
+        afterDeserialize: (post, context) => {
+            events.push("after " + post.title)
+            t.ok(context.target === post)
+            t.ok(post.author === users[1])
+        },
+        beforeSerialize: post => {
+            events.push("serialize " + post.title)
+        },
+        afterSerialize: (json, post) => {
+            events.push("serialized " + post.title)
+            json.commentCount = post.comments.length
+        }
+    })
+    _.createModelSchema(Draft, {}, {
+        afterSerialize: json => ({ draft: json })
+    })
+    Draft.prototype = Object.create(Post.prototype)
+    _.getDefaultModelSchema(Draft).extends = _.getDefaultModelSchema(Post)
+
+    _.deserialize(Post, { title: 1, author: 1, comments: [{ title: "reply", author: 1, comments: [] }] }, (err, post) => {
+        t.notOk(err)
+        // hooks fire once the own props of an object are resolved, the post's author was requested first
+        t.deepEqual(events, ["before 1", "before reply", "after #1", "after reply"])
+        t.equal(post.title, "#1")
+
+        events = []
+        t.deepEqual(_.serialize(post), {
+            title: "#1", author: 1, commentCount: 1,
+            comments: [{ title: "reply", author: 1, comments: [], commentCount: 0 }]
+        })
+        t.deepEqual(events, ["serialize #1", "serialize reply", "serialized reply", "serialized #1"])
+
+        // hooks are inherited, unless overridden
+        events = []
+        var draft = new Draft()
+        draft.title = "draft"
+        draft.author = users[1]
+        draft.comments = []
+        t.deepEqual(_.serialize(Draft, draft), { draft: { title: "draft", author: 1, comments: [] } })
+        t.deepEqual(events, ["serialize draft"])
+
+        events = []
+        _.update(post, { title: "updated" }, err => {
+            t.notOk(err)
+            t.deepEqual(events, ["before updated", "after updated"])
+            t.end()
+        })
+    })
+})
+
+test("it should reconcile existing child objects during update", t => {
+    class Address {}
+    class Item {}
+    class Order {}
+    _.createModelSchema(Address, { street: true, city: true })
+    _.createModelSchema(Item, { id: _.identifier(), name: true, qty: true })
+    _.createModelSchema(Order, {
+        address: _.object(Address),
+        lines: _.list(_.object(Item)),
+        byId: _.mapAsArray(_.object(Item), "id"),
+        byName: _.map(_.object(Address))
+    })
+
+    var order = _.deserialize(Order, {
+        address: { street: "Main", city: "Amsterdam" },
+        lines: [{ id: 1, name: "a", qty: 1 }, { id: 2, name: "b", qty: 2 }],
+        byId: [{ id: 1, name: "a", qty: 1 }],
+        byName: { home: { street: "Elm", city: "Utrecht" } }
+    })
+    var address = order.address
+    var lines = order.lines
+    var line1 = order.lines[0]
+    var line2 = order.lines[1]
+    var item1 = order.byId[1]
+    var home = order.byName.home
+
+    _.update(order, {
+        address: { city: "Rotterdam" },
+        lines: [{ id: 2, name: "b", qty: 5 }, { id: 3, name: "c", qty: 1 }],
+        byId: [{ id: 1, name: "a", qty: 3 }, { id: 4, name: "d", qty: 1 }],
+        byName: { home: { city: "Delft" } }
+    }, err => {
+        t.notOk(err)
+        t.equal(order.address, address)
+        t.deepEqual(order.address, { street: "Main", city: "Rotterdam" })
+        // items are matched by identifier, missing ones are dropped
+        t.equal(order.lines, lines)
+        t.equal(order.lines.length, 2)
+        t.equal(order.lines[0], line2)
+        t.equal(line2.qty, 5)
+        t.notEqual(order.lines[1], line1)
+        t.deepEqual(order.lines[1], { id: 3, name: "c", qty: 1 })
+        t.equal(order.byId[1], item1)
+        t.equal(item1.qty, 3)
+        t.equal(order.byId[4].name, "d")
+        t.equal(order.byName.home, home)
+        t.deepEqual(home, { street: "Elm", city: "Delft" })
+    }, null, { reconcile: true })
+
+    // an object with another identity is not patched
+    _.update(order, { lines: [{ id: 3, name: "c", qty: 1 }] }, err => {
+        t.notOk(err)
+        t.notEqual(order.lines[0], line2)
+    }, null, { reconcile: true })
+
+    // without reconcile, child objects are replaced
+    address = order.address
+    _.update(order, { address: { city: "Leiden" } })
+    t.notEqual(order.address, address)
+    t.deepEqual(order.address, { city: "Leiden" })
+    t.end()
+})
+
+test("it should diff two states of an object", t => {
+    class User {}
+    class Address {}
+    class Person {}
+    _.createModelSchema(User, { id: _.identifier(), name: true })
+    _.createModelSchema(Address, { street: true, city: true })
+    _.createModelSchema(Person, {
+        id: _.identifier(),
+        name: _.alias("fullName", _.primitive()),
+        born: _.date({ format: "isoDate" }),
+        address: _.object(Address),
+        manager: _.reference(User),
+        tags: _.list(_.primitive())
+    })
+    var users = { 1: { id: 1, name: "A" }, 2: { id: 2, name: "B" } }
+    Object.setPrototypeOf(users[1], User.prototype)
+    Object.setPrototypeOf(users[2], User.prototype)
+
+    var before = Object.assign(new Person(), {
+        id: 1, name: "Jane", born: new Date(Date.UTC(1990, 0, 1)),
+        address: Object.assign(new Address(), { street: "Main", city: "Amsterdam" }),
+        manager: users[1], tags: ["a"]
+    })
+    var same = Object.assign(new Person(), before, { born: new Date(Date.UTC(1990, 0, 1)), tags: ["a"] })
+    t.deepEqual(_.diff(Person, before, same), {})
+
+    var after = Object.assign(new Person(), before, {
+        name: "Janet",
+        address: Object.assign(new Address(), { street: "Main", city: "Utrecht" }),
+        manager: users[2],
+        tags: ["a", "b"]
+    })
+    t.deepEqual(_.diff(before, after), {
+        fullName: "Janet",
+        address: { city: "Utrecht" },
+        manager: 2,
+        tags: ["a", "b"]
+    })
+    // a new child object is included entirely
+    t.deepEqual(_.diff(Person, Object.assign(new Person(), before, { address: null }), before), {
+        address: { street: "Main", city: "Amsterdam" }
+    })
+    t.end()
+})
+
+test("it should produce and apply JSON Patch documents", t => {
+    class User {}
+    class Address {}
+    class Person {}
+    _.createModelSchema(User, { id: _.identifier(), name: true })
+    _.createModelSchema(Address, { street: true, city: true })
+    _.createModelSchema(Person, {
+        name: _.alias("full/name", _.primitive()),
+        born: _.date({ format: "isoDate" }),
+        address: _.object(Address),
+        manager: _.reference(User, (id, done, context) => done(null, context.args.users[id])),
+        tags: _.list(_.primitive()),
+        friends: _.list(_.object(User))
+    })
+    var users = { 1: { id: 1, name: "A" }, 2: { id: 2, name: "B" } }
+    Object.setPrototypeOf(users[1], User.prototype)
+    Object.setPrototypeOf(users[2], User.prototype)
+
+    var before = Object.assign(new Person(), {
+        name: "Jane",
+        address: Object.assign(new Address(), { street: "Main", city: "Amsterdam" }),
+        manager: users[1], tags: ["a"], friends: []
+    })
+    var after = Object.assign(new Person(), before, {
+        name: "Janet",
+        born: new Date(Date.UTC(1990, 0, 1)),
+        address: Object.assign(new Address(), { street: "Main" }),
+        manager: users[2]
+    })
+    t.deepEqual(_.toJsonPatch(Person, before, after), [
+        { op: "replace", path: "/full~1name", value: "Janet" },
+        { op: "add", path: "/born", value: "1990-01-01" },
+        { op: "remove", path: "/address/city" },
+        { op: "replace", path: "/manager", value: 2 }
+    ])
+
+    var person = Object.assign(new Person(), before, { tags: ["a"], friends: [] })
+    var address = person.address
+    _.applyJsonPatch(Person, person, [
+        { op: "test", path: "/full~1name", value: "Jane" },
+        { op: "replace", path: "/full~1name", value: "Janet" },
+        { op: "add", path: "/born", value: "1990-01-01" },
+        { op: "replace", path: "/address/city", value: "Utrecht" },
+        { op: "replace", path: "/manager", value: 2 },
+        { op: "add", path: "/tags/-", value: "b" },
+        { op: "add", path: "/friends/0", value: { id: 1, name: "A" } },
+        { op: "copy", from: "/tags/0", path: "/tags/0" },
+        { op: "move", from: "/tags/2", path: "/tags/0" }
+    ], (err, result) => {
+        t.notOk(err)
+        t.equal(result, person)
+        t.equal(person.name, "Janet")
+        t.ok(person.born instanceof Date)
+        t.equal(person.born.getTime(), Date.UTC(1990, 0, 1))
+        t.equal(person.address, address)
+        t.equal(address.city, "Utrecht")
+        t.equal(person.manager, users[2])
+        t.deepEqual(person.tags, ["b", "a", "a"])
+        t.ok(person.friends[0] instanceof User)
+        t.equal(person.friends[0].name, "A")
+    }, { users })
+
+    _.applyJsonPatch(person, [{ op: "test", path: "/full~1name", value: "Jane" }], err => {
+        t.ok(/test failed/.test(err))
+    })
+    _.applyJsonPatch(person, [{ op: "replace", path: "/unknown", value: 1 }], err => {
+        t.ok(/doesn't refer to a property/.test(err))
+    })
+    t.end()
+})
+
+test("applyJsonPatch keeps required and defaulted props, and reports errors to the callback", t => {
+    var schema = _.createSimpleSchema({
+        id: _.identifier({ required: true }),
+        title: true,
+        tags: _.list(_.primitive(), { defaultValue: () => [] }),
+        slow: _.custom(v => v, (v, context, oldValue, done) => setTimeout(() => done(null, v), 1))
+    })
+    var todo = { id: 1, title: "a", tags: ["x"] }
+    _.applyJsonPatch(schema, todo, [{ op: "replace", path: "/title", value: "b" }], (err, result) => {
+        t.notOk(err)
+        t.deepEqual(result, { id: 1, title: "b", tags: ["x"] })
+
+        _.applyJsonPatch(schema, todo, [{ op: "replace", path: "/slow", value: 1 }, { op: "replace", path: "/zz", value: 1 }], err => {
+            t.ok(/JSON Patch path '\/zz' doesn't refer to a property of the model schema/.test(err))
+            t.equal(todo.slow, 1)
+            _.applyJsonPatch(schema, todo, [{ op: "unknown", path: "/title" }], err => {
+                t.ok(/unknown JSON Patch operation: unknown/.test(err))
+                t.end()
+            })
+        })
+    })
+})
+
+test("applyJsonPatch only runs the deserializers of the patched props", t => {
+    var schema = _.createSimpleSchema({ title: true, n: true }, {
+        version: 1,
+        migrations: { 1: json => ({ title: json.name, n: json.n }) },
+        strict: true,
+        beforeDeserialize: json => Object.assign({}, json, { title: json.title.trim() })
+    })
+    var todo = _.deserialize(schema, { $version: 1, title: " a ", n: 1 })
+    t.deepEqual(todo, { title: "a", n: 1 })
+    _.applyJsonPatch(schema, todo, [{ op: "replace", path: "/n", value: 2 }], (err, result) => {
+        t.notOk(err)
+        t.deepEqual(result, { title: "a", n: 2 })
+        t.end()
+    })
+})
+
+test("it should batch reference lookups", t => {
+    class Customer {}
+    class Order {}
+    _.createModelSchema(Customer, { id: _.identifier(), name: true })
+    var lookups = []
+    var batchLookup = (ids, done, context) => {
+        lookups.push(ids)
+        t.equal(context.args.store, "store")
+        done(null, ids.map(id => context.args.customers[id]))
+    }
+    _.createModelSchema(Order, {
+        id: true,
+        customer: _.reference(Customer, { batchLookup }),
+        billedTo: _.reference(Customer, { batchLookup })
+    })
+    var customers = { 1: { id: 1, name: "A" }, 2: { id: 2, name: "B" }, 3: { id: 3, name: "C" } }
+    var json = []
+    for (var i = 0; i < 10; i++)
+        json.push({ id: i, customer: i % 2 + 1, billedTo: i === 9 ? 3 : 1 })
+
+    var sync = true
+    var orders = _.deserialize(Order, json, (err, result) => {
+        t.notOk(err)
+        t.notOk(sync)
+        t.deepEqual(result, orders)
+        // one lookup for the references of both props
+        t.deepEqual(lookups, [[1, 2, 3]])
+        t.equal(orders[4].customer, customers[1])
+        t.equal(orders[5].customer, customers[2])
+        t.equal(orders[9].billedTo, customers[3])
+
+        // separate deserializations are not batched together, even with the same custom args
+        lookups = []
+        var args = { store: "store", customers }
+        var pending = 2
+        var finished = err => {
+            t.notOk(err)
+            if (--pending > 0)
+                return
+            t.deepEqual(lookups, [[1], [2]])
+            next()
+        }
+        _.deserialize(Order, { customer: 1 }, finished, args)
+        _.deserialize(Order, { customer: 2 }, finished, args)
+    }, { store: "store", customers })
+    sync = false
+    t.equal(orders[0].customer, undefined)
+
+    function next() {
+
+        _.createModelSchema(Order, {
+            customer: _.reference("id", { batchLookup: (ids, done) => done(null, []) })
+        })
+        _.deserialize(Order, { customer: 1 }, err => {
+            t.ok(/batch lookup should return an array/.test(err))
+
+            // props with different batchLookup functions are looked up separately, and thrown errors are reported to the callback
+            lookups = []
+            _.createModelSchema(Order, {
+                customer: _.reference(Customer, { batchLookup }),
+                billedTo: _.reference(Customer, { batchLookup: ids => {
+                    lookups.push(ids)
+                    throw new Error("boom")
+                } })
+            })
+            _.deserialize(Order, { customer: 1, billedTo: 2 }, err => {
+                t.equal(err && err.message, "boom")
+                t.deepEqual(lookups, [[1], [2]])
+                t.end()
+            }, { store: "store", customers })
+        })
+    }
+})
+
+test("it should keep track of instances in an identity map", t => {
+    class User {}
+    class Admin extends User {}
+    class Post {}
+    _.createModelSchema(User, { id: _.identifier(), name: true })
+    _.createModelSchema(Admin, { level: true }).extends = _.getDefaultModelSchema(User)
+    _.createModelSchema(Post, { id: _.identifier(), title: true, author: _.reference(User) })
+
+    var identityMap = new _.IdentityMap()
+    var user = _.deserialize(User, { id: 1, name: "A" }, null, null, { identityMap })
+    t.equal(identityMap.get(User, 1), user)
+    t.ok(identityMap.has(User, 1))
+    t.notOk(identityMap.has(Post, 1))
+
+    // known instances are updated in place
+    var same = _.deserialize(User, { id: 1, name: "B" }, null, null, { identityMap })
+    t.equal(same, user)
+    t.equal(user.name, "B")
+
+    // references are resolved against the identity map
+    _.deserialize(Post, [{ id: 1, title: "a", author: 1 }, { id: 2, title: "b", author: 1 }], (err, posts) => {
+        t.notOk(err)
+        t.equal(posts[0].author, user)
+        t.equal(posts[1].author, user)
+        t.equal(identityMap.get(Post, 2), posts[1])
+    }, null, { identityMap })
+
+    // sub schemas are found when looking up the super schema
+    var admin = _.deserialize(Admin, { id: 3, name: "C", level: 1 }, null, null, { identityMap })
+    t.ok(admin instanceof Admin)
+    t.equal(identityMap.get(User, 3), admin)
+    t.equal(identityMap.get(Post, 3), undefined)
+    identityMap.delete(User, 3)
+    t.notOk(identityMap.has(Admin, 3))
+
+    // without identity map, new instances are created
+    t.notEqual(_.deserialize(User, { id: 1, name: "B" }), user)
+    identityMap.clear()
+    t.notOk(identityMap.has(User, 1))
+    t.end()
+})
+
+test("it should normalize and denormalize entity graphs", t => {
+    class User {}
+    class Comment {}
+    class Post {}
+    _.createModelSchema(User, { id: _.identifier(), name: true, friend: _.reference(User) })
+    _.createModelSchema(Comment, { id: _.identifier(), text: true, author: _.object(User), post: _.reference(Post) })
+    _.createModelSchema(Post, {
+        id: _.identifier(),
+        title: _.alias("name", _.primitive()),
+        author: _.object(User),
+        comments: _.list(_.object(Comment)),
+        meta: _.object(_.createSimpleSchema({ views: true })),
+        published: _.date({ format: "isoDate" })
+    })
+    var Tag = _.createSimpleSchema({ id: _.identifier(), label: true }, { name: "Tag" })
+
+    var jane = Object.assign(new User(), { id: 1, name: "Jane" })
+    var john = Object.assign(new User(), { id: 2, name: "John", friend: jane })
+    var post = Object.assign(new Post(), {
+        id: 10, title: "Hello", author: jane, meta: { views: 3 }, published: new Date(Date.UTC(2018, 7, 9))
+    })
+    post.comments = [
+        Object.assign(new Comment(), { id: 100, text: "Nice", author: john, post: post }),
+        Object.assign(new Comment(), { id: 101, text: "Thanks", author: jane, post: post })
+    ]
+
+    var normalized = _.normalize(Post, post)
+    t.deepEqual(normalized, {
+        result: 10,
+        entities: {
+            Post: { 10: { id: 10, name: "Hello", author: 1, comments: [100, 101], meta: { views: 3 }, published: "2018-08-09" } },
+            User: { 1: { id: 1, name: "Jane", friend: null }, 2: { id: 2, name: "John", friend: 1 } },
+            Comment: { 100: { id: 100, text: "Nice", author: 2, post: 10 }, 101: { id: 101, text: "Thanks", author: 1, post: 10 } }
+        }
+    })
+    t.deepEqual(_.normalize([post]).result, [10])
+    t.deepEqual(_.normalize(Tag, [{ id: "a", label: "A" }]), { result: ["a"], entities: { Tag: { a: { id: "a", label: "A" } } } })
+
+    var result = _.denormalize(Post, normalized.result, normalized.entities, (err, restored) => {
+        t.notOk(err)
+        t.ok(restored instanceof Post)
+        t.equal(restored.title, "Hello")
+        t.equal(restored.published.getTime(), post.published.getTime())
+        t.deepEqual(restored.meta, { views: 3 })
+        t.ok(restored.author instanceof User)
+        // shared entities are deserialized once, references are resolved across tables
+        t.equal(restored.comments[1].author, restored.author)
+        t.equal(restored.comments[0].author.friend, restored.author)
+        t.equal(restored.comments[0].post, restored)
+        t.deepEqual(_.normalize(Post, restored), normalized)
+    })
+    t.ok(result instanceof Post)
+
+    // referenced entities that are not nested are deserialized as well
+    _.denormalize(User, [2, 2], normalized.entities, (err, users) => {
+        t.notOk(err)
+        t.equal(users[0], users[1])
+        t.equal(users[0].friend.name, "Jane")
+    })
+    _.denormalize(User, 3, normalized.entities, err => {
+        t.equal(err, "[serializr] entity User with identifier '3' not found")
+    })
+    t.throws(() => _.normalize(_.createSimpleSchema({ id: _.identifier() }), { id: 1 }), /require a model schema with a name/)
+
+    // objects that are only referred to are stored in their tables as well
+    class Article {}
+    _.createModelSchema(Article, { id: _.identifier(), editor: _.reference(User), reviewers: _.list(_.reference(User)) })
+    var article = Object.assign(new Article(), { id: 5, editor: Object.assign(new User(), { id: 8, name: "Ed" }), reviewers: [john] })
+    var normalizedArticle = _.normalize(article)
+    t.deepEqual(normalizedArticle.entities, {
+        Article: { 5: { id: 5, editor: 8, reviewers: [2] } },
+        User: { 8: { id: 8, name: "Ed", friend: null }, 2: { id: 2, name: "John", friend: 1 }, 1: { id: 1, name: "Jane", friend: null } }
+    })
+    _.denormalize(Article, 5, normalizedArticle.entities, (err, restored) => {
+        t.notOk(err)
+        t.equal(restored.editor.name, "Ed")
+        t.equal(restored.reviewers[0].friend.name, "Jane")
+        t.end()
+    })
+})
+
+test("it should serialize groups of props", t => {
+    class Address {}
+    class User {}
+    _.createModelSchema(Address, { city: true, street: _.primitive({ groups: ["admin"] }) })
+    _.createModelSchema(User, {
+        id: _.identifier(),
+        name: _.primitive({ groups: ["public", "admin"] }),
+        email: _.alias("mail", _.primitive({ groups: ["admin"] })),
+        address: _.object(Address),
+        friends: _.list(_.object(User), { groups: ["public"] }),
+        tags: _.map(_.object(Address))
+    })
+    var user = Object.assign(new User(), {
+        id: 1, name: "Jane", email: "jane@example.com",
+        address: Object.assign(new Address(), { city: "Utrecht", street: "Main" }),
+        tags: { home: Object.assign(new Address(), { city: "Delft", street: "Elm" }) }
+    })
+    user.friends = [Object.assign(new User(), { id: 2, name: "John", email: "john@example.com", friends: [], tags: {} })]
+
+    t.deepEqual(_.serialize(user, { groups: ["public"] }), {
+        id: 1, name: "Jane", address: { city: "Utrecht" },
+        friends: [{ id: 2, name: "John", address: undefined, friends: [], tags: {} }],
+        tags: { home: { city: "Delft" } }
+    })
+    t.deepEqual(_.serialize(User, user, { groups: ["admin"] }), {
+        id: 1, name: "Jane", mail: "jane@example.com", address: { city: "Utrecht", street: "Main" },
+        tags: { home: { city: "Delft", street: "Elm" } }
+    })
+    t.equal(_.serialize(user).mail, "jane@example.com")
+    t.throws(() => _.primitive({ groups: "admin" }), /expected groups to be an array of strings/)
+    t.end()
+})
+
+test("it should serialize projections of props", t => {
+    class User {}
+    class Item {}
+    class Order {}
+    _.createModelSchema(User, { id: _.identifier(), name: true, email: true })
+    _.createModelSchema(Item, { sku: true, price: true })
+    _.createModelSchema(Order, {
+        id: _.identifier(),
+        owner: _.alias("customer", _.object(User)),
+        items: _.list(_.object(Item)),
+        byKey: _.map(_.object(Item)),
+        note: true
+    })
+    var order = Object.assign(new Order(), {
+        id: 1, note: "fragile",
+        owner: Object.assign(new User(), { id: 2, name: "Jane", email: "jane@example.com" }),
+        items: [Object.assign(new Item(), { sku: "a", price: 1 }), Object.assign(new Item(), { sku: "b", price: 2 })]
+    })
+    order.byKey = { a: order.items[0] }
+
+    t.deepEqual(_.serialize(order, { fields: { id: true, customer: { name: true }, items: { sku: true }, byKey: { price: true } } }), {
+        id: 1, customer: { name: "Jane" }, items: [{ sku: "a" }, { sku: "b" }], byKey: { a: { price: 1 } }
+    })
+    t.deepEqual(_.serialize(Order, order, { fields: ["id", "customer.name", "customer", "items.sku"] }), {
+        id: 1, customer: { id: 2, name: "Jane", email: "jane@example.com" }, items: [{ sku: "a" }, { sku: "b" }]
+    })
+    t.deepEqual(_.serialize(Order, [order], { fields: ["note"] }), [{ note: "fragile" }])
+    t.throws(() => _.serialize(order, { fields: ["id", ""] }), /expected field path to be a non-empty string/)
+    t.end()
+})
+
+test("it should (de)serialize with compiled model schemas", t => {
+    class Cell {}
+    class Row {}
+    class SpecialRow extends Row {}
+    _.createModelSchema(Cell, { value: true, "*": true })
+    _.createModelSchema(Row, { id: _.alias("key", _.identifier()), cells: _.list(_.object(Cell)), hidden: false })
+    _.createModelSchema(SpecialRow, { special: true }).extends = _.getDefaultModelSchema(Row)
+
+    t.equal(_.compile(SpecialRow), _.getDefaultModelSchema(SpecialRow))
+    t.ok(_.getDefaultModelSchema(SpecialRow).compiled)
+    t.ok(_.getDefaultModelSchema(Row).compiled)
+    t.ok(_.getDefaultModelSchema(Cell).compiled)
+
+    var json = { key: 1, cells: [{ value: 2, extra: 3 }], special: true }
+    var row = _.deserialize(SpecialRow, json)
+    t.ok(row instanceof SpecialRow)
+    t.ok(row.cells[0] instanceof Cell)
+    t.equal(row.cells[0].extra, 3)
+    t.deepEqual(_.serialize(row), json)
+
+    // compiled schemas are not affected by later changes, until compiled again
+    _.getDefaultModelSchema(Row).props.hidden = true
+    t.deepEqual(_.serialize(_.deserialize(Row, { key: 1, cells: [], hidden: true })), { key: 1, cells: [] })
+    _.compile(Row)
+    t.deepEqual(_.serialize(_.deserialize(Row, { key: 1, cells: [], hidden: true })), { key: 1, cells: [], hidden: true })
+    t.end()
+})
+
+test("it should limit the concurrency of async deserialization", t => {
+    class User {}
+    class Group {}
+    _.createModelSchema(User, { id: _.identifier() })
+    var pending = []
+    var maxInFlight = 0
+    function lookup(id, done) {
+        pending.push(() => done(null, Object.assign(new User(), { id })))
+        maxInFlight = Math.max(maxInFlight, pending.length)
+    }
+    function flush() {
+        while (pending.length)
+            pending.shift()()
+    }
+    _.createModelSchema(Group, {
+        members: _.list(_.reference(User, lookup), { concurrency: 2 }),
+        byRole: _.map(_.reference(User, lookup)),
+        owner: _.reference(User, lookup)
+    })
+
+    _.deserialize(Group, { members: [1, 2, 3, 4, 5], byRole: { a: 6, b: 7, c: 8 }, owner: 9 }, (err, group) => {
+        t.notOk(err)
+        t.deepEqual(group.members.map(user => user.id), [1, 2, 3, 4, 5])
+        t.deepEqual(Object.keys(group.byRole), ["a", "b", "c"])
+        t.equal(group.byRole.c.id, 8)
+        // 2 members, 1 role (deserialize option) and the owner
+        t.equal(maxInFlight, 4)
+    }, null, { concurrency: 1 })
+    // resolving lookups starts new ones
+    flush()
+
+    // the top level array is limited as well
+    maxInFlight = 0
+    _.deserialize(Group, [{ owner: 1 }, { owner: 2 }, { owner: 3 }], (err, groups) => {
+        t.notOk(err)
+        t.deepEqual(groups.map(group => group.owner.id), [1, 2, 3])
+        t.equal(maxInFlight, 2)
+    }, null, { concurrency: 2 })
+    flush()
+
+    t.throws(() => _.deserialize(Group, { byRole: { a: 1 } }, null, null, { concurrency: 0.5 }), /expected concurrency to be a positive integer/)
+    t.end()
+})
+
+test("concurrency limits the lookups of nested objects", t => {
+    class Customer {}
+    class Order {}
+    class Batch {}
+    _.createModelSchema(Customer, { id: _.identifier() })
+    var inFlight = 0
+    var maxInFlight = 0
+    function lookup(id, done) {
+        maxInFlight = Math.max(maxInFlight, ++inFlight)
+        setTimeout(() => {
+            inFlight--
+            done(null, Object.assign(new Customer(), { id }))
+        }, 1)
+    }
+    _.createModelSchema(Order, {
+        id: _.identifier(),
+        customer: _.reference(Customer, lookup),
+        lines: _.list(_.object(Order)),
+        next: _.reference(Order)
+    })
+    _.createModelSchema(Batch, { orders: _.list(_.object(Order), { concurrency: 2 }) })
+
+    var orders = []
+    for (var i = 0; i < 20; i++)
+        orders.push({ id: i, customer: i, lines: [{ id: 100 + i, customer: 100 + i, lines: [] }], next: (i + 1) % 20 })
+    _.deserialize(Batch, { orders }, (err, batch) => {
+        t.notOk(err)
+        t.equal(batch.orders.length, 20)
+        t.equal(batch.orders[19].lines[0].customer.id, 119)
+        // references to orders of later items don't block the item
+        t.equal(batch.orders[0].next, batch.orders[1])
+        t.equal(batch.orders[19].next, batch.orders[0])
+        // two orders, each with the lookup of its own customer and of the customer of its line
+        t.equal(maxInFlight, 4)
+        t.end()
+    })
+})
+
+test("it should (de)serialize sets and map entries", t => {
+    class Tag {}
+    class Board {}
+    _.createModelSchema(Tag, { name: true })
+    _.createModelSchema(Board, {
+        tags: _.set(_.object(Tag)),
+        ids: _.set(),
+        byDay: _.mapEntries(_.date({ format: "isoDate" }), _.list(_.primitive())),
+        counts: _.mapEntries(_.primitive(), _.primitive())
+    })
+    var day = new Date(Date.UTC(2018, 7, 9))
+    var board = new Board()
+    board.tags = new Set([Object.assign(new Tag(), { name: "a" })])
+    board.ids = new Set([1, 2])
+    board.byDay = new Map([[day, ["x", "y"]]])
+    board.counts = new Map([[1, "one"], [true, "yes"]])
+
+    var json = _.serialize(board)
+    t.deepEqual(json, {
+        tags: [{ name: "a" }],
+        ids: [1, 2],
+        byDay: [["2018-08-09", ["x", "y"]]],
+        counts: [[1, "one"], [true, "yes"]]
+    })
+
+    var ids = new Set([3])
+    var target = new Board()
+    target.ids = ids
+    _.update(target, json, (err, result) => {
+        t.notOk(err)
+        t.equal(result.ids, ids)
+        t.deepEqual(Array.from(ids), [1, 2])
+        t.ok(Array.from(result.tags)[0] instanceof Tag)
+        t.ok(result.byDay instanceof Map)
+        t.equal(Array.from(result.byDay.keys())[0].getTime(), day.getTime())
+        t.equal(result.counts.get(1), "one")
+        t.equal(result.counts.get(true), "yes")
+    })
+
+    _.deserialize(Board, { counts: [[1]] }, err => {
+        t.ok(/expected JSON array of \[key, value\] pairs/.test(err))
+    })
+    _.deserialize(Board, { byDay: [["2018-08-09", 3]] }, err => {
+        t.ok(err)
+        t.deepEqual(err.errors.map(problem => problem.path), ["byDay[0][1]"])
+    }, null, { validate: true })
+
+    t.deepEqual(_.toJSONSchema(Board).properties.ids, { type: "array", items: { type: ["string", "number", "boolean", "null"] }, uniqueItems: true })
+    t.end()
+})
+
+test("it should (de)serialize enumerations and literals", t => {
+    // compiled form of TypeScript enums
+    var Status = { Active: 0, Blocked: 1, 0: "Active", 1: "Blocked" }
+    var Color = { Red: "red", Green: "green" }
+    var schema = _.createSimpleSchema({
+        kind: _.literal("user"),
+        status: _.enumeration(Status, { names: true }),
+        code: _.enumeration(Status),
+        color: _.enumeration(Color),
+        level: _.enumeration([1, 2, 3], { mapping: { low: 1, mid: 2, high: 3 } }),
+        role: _.enumeration(["admin", "user"])
+    })
+
+    var json = { kind: "user", status: "Blocked", code: 0, color: "green", level: "mid", role: "admin" }
+    var user = _.deserialize(schema, json)
+    t.deepEqual(user, { kind: "user", status: 1, code: 0, color: "green", level: 2, role: "admin" })
+    t.deepEqual(_.serialize(schema, user), json)
+    t.deepEqual(_.serialize(schema, { status: null }), { kind: "user", status: null, code: undefined, color: undefined, level: undefined, role: undefined })
+
+    t.throws(() => _.serialize(schema, { role: "guest" }), /value 'guest' is not one of the allowed values/)
+    t.throws(() => _.serialize(schema, { kind: "admin" }), /expected literal 'user'/)
+    _.deserialize(schema, { kind: "admin", status: 1, code: "Active", role: "guest" }, err => {
+        t.deepEqual(err.errors.map(problem => problem.path + ": " + problem.message), [
+            "kind: expected literal \"user\", got: \"admin\"",
+            "status: expected one of [\"Active\",\"Blocked\"], got: 1",
+            "code: expected one of [0,1], got: \"Active\"",
+            "role: expected one of [\"admin\",\"user\"], got: \"guest\""
+        ])
+    }, null, { validate: true })
+
+    t.throws(() => _.enumeration(["a"], { names: true }), /requires an enum object/)
+    t.throws(() => _.enumeration([1, 2], { mapping: { one: 1 } }), /mapping lacks a json value for 2/)
+    t.deepEqual(_.toJSONSchema(schema).properties.level, { enum: ["low", "mid", "high", null] })
+    t.deepEqual(_.toJSONSchema(schema).properties.kind, { const: "user" })
+    t.end()
+})
+
+test("it should (de)serialize tuples", t => {
+    class Place {}
+    class Measurement {}
+    _.createModelSchema(Place, { id: _.identifier(), name: true })
+    _.createModelSchema(Measurement, {
+        location: _.tuple([_.primitive(), _.primitive(), _.date({ format: "iso", strict: true })]),
+        tagged: _.tuple([_.reference(Place, (id, done) => setTimeout(() => done(null, Object.assign(new Place(), { id, name: "p" + id })), 1)), _.primitive()])
+    })
+    var json = { location: [52.09, 5.12, "2018-08-09T00:00:00.000Z"], tagged: [3, "home"] }
+    _.deserialize(Measurement, json, (err, measurement) => {
+        t.notOk(err)
+        t.ok(measurement.location[2] instanceof Date)
+        t.ok(measurement.tagged[0] instanceof Place)
+        t.equal(measurement.tagged[0].name, "p3")
+        t.deepEqual(_.serialize(measurement), json)
+
+        _.deserialize(Measurement, { location: [1, 2] }, err => {
+            t.ok(/expected JSON array of length 3/.test(err))
+            t.throws(() => _.serialize(Measurement, { location: [1, 2], tagged: null }), /expected array of length 3/)
+            var empty = _.deserialize(Measurement, _.serialize(Measurement, { location: undefined, tagged: null }))
+            t.equal(empty.location, undefined)
+            t.equal(empty.tagged, null)
+            _.deserialize(Measurement, { location: [1, 2, "x"] }, err => {
+                t.deepEqual(err.errors.map(problem => problem.path), ["location[2]"])
+                t.deepEqual(_.toJSONSchema(Measurement).properties.location.items.length, 3)
+                t.end()
+            }, null, { validate: true })
+        })
+    })
+})
+
+test("it should support nullable and optional props", t => {
+    class Todo {}
+    _.createModelSchema(Todo, {
+        tags: _.nullable(_.list(_.primitive())),
+        notes: _.optional(_.map(_.primitive())),
+        due: _.optional(_.nullable(_.date())),
+        title: true
+    }, { undefinedProps: "null" })
+
+    var todo = new Todo()
+    todo.tags = null
+    t.deepEqual(_.serialize(todo), { tags: null, title: null })
+    todo.due = null
+    todo.notes = { a: 1 }
+    t.deepEqual(_.serialize(todo), { tags: null, notes: { a: 1 }, due: null, title: null })
+    t.throws(() => _.serialize(Todo, { tags: undefined }), /expected array/)
+
+    var result = _.deserialize(Todo, { tags: null, notes: undefined, due: null })
+    t.equal(result.tags, null)
+    t.equal(result.notes, undefined)
+    t.equal(result.due, null)
+    _.deserialize(Todo, { tags: null, notes: null }, err => {
+        t.ok(err)
+        t.equal(_.getDefaultModelSchema(Todo).props.tags.type, "list")
+
+        var schema = _.createSimpleSchema({ a: true, b: _.optional(true) }, { undefinedProps: "omit" })
+        t.deepEqual(_.serialize(schema, { b: undefined }), {})
+        t.throws(() => _.createSimpleSchema({}, { undefinedProps: "skip" }), /expected undefinedProps to be 'omit' or 'null'/)
+        t.throws(() => _.optional(_.primitive({ required: true })), /an optional prop cannot be required/)
+        t.deepEqual(_.toJSONSchema(Todo).properties.tags, { anyOf: [{ type: "array", items: { type: ["string", "number", "boolean", "null"] } }, { type: "null" }] })
+        t.deepEqual(_.toJSONSchema(Todo).properties.due, { type: ["number", "null"] })
+        t.end()
+    })
+})
+
+test("it should (de)serialize unions", t => {
+    class User {}
+    class Todo {}
+    _.createModelSchema(User, { id: _.identifier(), name: true }, { strict: true })
+    _.createModelSchema(Todo, {
+        owner: _.union([_.primitive(), _.object(User)], { discriminate: value => (value !== null && typeof value === "object" ? 1 : 0) }),
+        estimate: _.union([_.primitive(), _.list(_.primitive())]),
+        assignee: _.union([_.object(User), _.primitive()])
+    })
+
+    var json = { owner: { id: 1, name: "Jane" }, estimate: [3, 5], assignee: "u2" }
+    _.deserialize(Todo, json, (err, todo) => {
+        t.notOk(err)
+        t.ok(todo.owner instanceof User)
+        t.deepEqual(todo.estimate, [3, 5])
+        t.equal(todo.assignee, "u2")
+        t.deepEqual(_.serialize(todo), json)
+        t.deepEqual(_.serialize(Todo, { owner: "u1", estimate: 8, assignee: Object.assign(new User(), { id: 2 }) }), { owner: "u1", estimate: 8, assignee: { id: 2, name: undefined } })
+
+        _.deserialize(Todo, { estimate: { hours: 3 } }, err => {
+            t.ok(/expected value that matches one of the prop schemas of the union, got: {"hours":3}/.test(err))
+            t.throws(() => _.serialize(Todo, { estimate: {} }), /expected array/)
+            t.throws(() => _.union([_.primitive()], { discriminate: true }), /expected discriminate to be a function/)
+            t.throws(() => _.serialize(_.createSimpleSchema({ a: _.union([_.primitive()], { discriminate: () => 2 }) }), { a: 1 }), /discriminate should return the index of one of the prop schemas, got 2/)
+            t.deepEqual(_.toJSONSchema(Todo).properties.estimate, {
+                anyOf: [{ type: ["string", "number", "boolean", "null"] }, { type: "array", items: { type: ["string", "number", "boolean", "null"] } }]
+            })
+            t.end()
+        })
+    })
+})
+
+test("unions try the next prop schema on errors in the props of nested objects", t => {
+    class Dog {}
+    class Cat {}
+    class Person {}
+    class Home {}
+    _.createModelSchema(Person, { id: _.identifier(), name: true })
+    _.createModelSchema(Dog, {
+        id: _.identifier(),
+        barks: _.custom(x => x, (value, context, oldValue, done) =>
+            setImmediate(() => (typeof value === "boolean" ? done(null, value) : done("[serializr] expected boolean")))
+        )
+    })
+    _.createModelSchema(Cat, { id: _.identifier(), lives: true, owner: _.reference(Person) })
+    _.createModelSchema(Home, {
+        favorite: _.reference(Cat),
+        pet: _.union([_.object(Dog), _.object(Cat)]),
+        people: _.list(_.object(Person))
+    })
+
+    var json = { favorite: "p1", pet: { id: "p1", barks: "no", lives: 9, owner: "a" }, people: [{ id: "a", name: "Ann" }] }
+    _.deserialize(Home, json, (err, home) => {
+        t.notOk(err)
+        t.ok(home.pet instanceof Cat)
+        t.equal(home.favorite, home.pet)
+        t.equal(home.pet.owner, home.people[0])
+
+        _.deserialize(Home, json, (err, home) => {
+            t.notOk(err)
+            t.ok(home.pet instanceof Cat)
+
+            _.deserialize(Home, { favorite: "p2", pet: { id: "p2", barks: true } }, err => {
+                t.equal(err && err.message, "Unresolvable references in json: \"p2\"")
+                t.end()
+            })
+        }, undefined, { validate: true })
+    })
+})
+
+test("unions of a reference and an embedded object", t => {
+    class User {}
+    _.createModelSchema(User, { id: _.identifier(), name: true })
+    var refFirst = _.createSimpleSchema({ a: _.union([_.reference(User), _.object(User)]), users: _.list(_.object(User)) })
+    var objectFirst = _.createSimpleSchema({ a: _.union([_.object(User), _.reference(User)]), users: _.list(_.object(User)) })
+
+    t.plan(12)
+    ;[refFirst, objectFirst].forEach(schema => {
+        _.deserialize(schema, { a: 5, users: [{ id: 5 }] }, (err, result) => {
+            t.notOk(err)
+            t.equal(result.a, result.users[0])
+        })
+        _.deserialize(schema, { a: { id: 7, name: "q" } }, (err, result) => {
+            t.notOk(err)
+            t.ok(result.a instanceof User)
+            t.deepEqual(_.serialize(User, result.a), { id: 7, name: "q" })
+        })
+        _.deserialize(schema, { a: 6, users: [{ id: 5 }] }, err => {
+            t.equal(err && err.message, "Unresolvable references in json: \"6\"")
+        })
+    })
+})
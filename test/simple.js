@@ -388,3 +388,174 @@ test("it should support dates", t => {
 
     t.end()
 })
+
+test("it should collect all validation errors with their json path", t => {
+    var ownerSchema = _.createSimpleSchema({
+        id: primitive(),
+        name: true
+    })
+    var itemSchema = _.createSimpleSchema({
+        owner: _.object(ownerSchema),
+        tags: _.map(primitive())
+    })
+    var schema = _.createSimpleSchema({
+        title: primitive(),
+        items: _.list(_.object(itemSchema)),
+        count: _.alias("n", _.list())
+    })
+
+    var json = {
+        title: "ok",
+        items: [
+            { owner: { id: 1, name: "a" }, tags: {} },
+            { owner: { id: {}, name: "b" }, tags: { x: 1, y: [] } }
+        ],
+        n: 3
+    }
+
+    deserialize(schema, json, (err, res) => {
+        t.notOk(res)
+        t.ok(err instanceof Error)
+        t.deepEqual(err.errors.map(e => e.path), ["items[1].owner.id", "items[1].tags.y", "n"])
+        t.deepEqual(err.errors.map(e => e.value), [{}, [], 3])
+        t.equal(err.errors[2].propSchema, schema.props.count)
+        t.equal(err.errors[2].message, "expected JSON array")
+        t.ok(/validation failed: items\[1\]\.owner\.id: this value is not primitive/.test(err.message))
+    }, null, { validate: true })
+
+    // without validation, the first error is thrown
+    t.throws(() => deserialize(schema, json), /this value is not primitive/)
+
+    deserialize(schema, [{ title: 1 }, { title: {} }, { title: [] }], (err) => {
+        t.deepEqual(err.errors.map(e => e.path), ["[1].title", "[2].title"])
+    }, null, { validate: true })
+
+    deserialize(_.createSimpleSchema({ "*": true }), { a: 1, b: {} }, (err) => {
+        t.deepEqual(err.errors.map(e => e.path), ["b"])
+    }, null, { validate: true })
+
+    deserialize(itemSchema, { owner: 5 }, (err) => {
+        t.deepEqual(err.errors.map(e => e.path + ": " + e.message), ["owner: expected JSON object, got: 5"])
+    }, null, { validate: true })
+
+    deserialize(schema, { title: "fine", items: [] }, (err, res) => {
+        t.notOk(err)
+        t.deepEqual(res, { title: "fine", items: [] })
+    }, null, { validate: true })
+
+    t.end()
+})
+
+test("it should reject unknown properties in strict mode", t => {
+    var superSchema = _.createSimpleSchema({
+        x: primitive()
+    })
+    var schema = _.createSimpleSchema({
+        y: _.alias("z", primitive()),
+        ignored: false
+    }, { strict: true })
+    schema.extends = superSchema
+
+    t.deepEqual(deserialize(schema, { x: 1, z: 2, ignored: 3 }), { x: 1, y: 2 })
+    t.throws(() => deserialize(schema, { x: 1, y: 2, a: 3 }), /unknown properties in json: "y", "a"/)
+    deserialize(schema, { x: 1, a: 3 }, (err) => {
+        t.deepEqual(err.unknownProps, ["a"])
+    })
+
+    // per call option overrides the schema
+    t.deepEqual(deserialize(schema, { x: 1, a: 3 }, null, null, { strict: false }), { x: 1 })
+    t.throws(() => deserialize(superSchema, { x: 1, a: 3 }, null, null, { strict: true }), /unknown properties in json: "a"/)
+    t.throws(() => update(superSchema, {}, { a: 3 }, null, null, { strict: true }), /unknown properties in json: "a"/)
+
+    // nested schemas and validation mode
+    var parent = _.createSimpleSchema({
+        children: _.list(_.object(superSchema))
+    })
+    deserialize(parent, { children: [{ x: 1 }, { x: 2, b: 1 }], c: 1 }, (err) => {
+        t.deepEqual(err.errors.map(e => e.path), ["c", "children[1].b"])
+    }, null, { strict: true, validate: true })
+
+    // '*' accepts everything
+    var star = _.createSimpleSchema({ "*": true }, { strict: true })
+    t.deepEqual(deserialize(star, { a: 1 }), { a: 1 })
+
+    t.end()
+})
+
+test("it should support required props and default values", t => {
+    var counter = 0
+    var schema = _.createSimpleSchema({
+        id: primitive({ required: true }),
+        name: _.alias("n", primitive({ required: true })),
+        tags: _.list(primitive(), { defaultValue: () => [] }),
+        count: primitive({ defaultValue: 0 }),
+        created: _.custom(v => v, v => v, { defaultValue: () => ++counter })
+    })
+
+    var res = deserialize(schema, { id: 1, n: "a", count: null })
+    t.deepEqual(res, { id: 1, name: "a", tags: [], count: 0, created: 1 })
+    t.deepEqual(deserialize(schema, { id: 1, n: "a", count: 3, created: 7 }), { id: 1, name: "a", tags: [], count: 3, created: 7 })
+    // each object gets its own default value
+    t.ok(deserialize(schema, { id: 1, n: "a" }).tags !== res.tags)
+
+    t.throws(() => deserialize(schema, { id: 1, name: "a" }), /required property 'n' is missing/)
+    deserialize(schema, { }, (err) => {
+        t.deepEqual(err.errors.map(e => e.path), ["id", "n"])
+    }, null, { validate: true })
+
+    // update leaves absent props untouched, and doesn't require them
+    var target = { id: 1, name: "a", tags: ["x"], count: 5 }
+    update(schema, target, { n: "b", count: null }, err => t.notOk(err))
+    t.deepEqual(target, { id: 1, name: "b", tags: ["x"], count: null })
+
+    t.equal(_.alias("x", primitive({ required: true })).required, true)
+    t.equal(_.reference("id", () => {}, { required: true }).required, true)
+    t.equal(_.identifier({ required: true }).required, true)
+
+    t.end()
+})
+
+test("it should support date formats", t => {
+    var d = new Date(Date.UTC(2018, 7, 9, 12, 30, 15))
+    var s = _.createSimpleSchema({
+        iso: _.date({ format: "iso" }),
+        day: _.date({ format: "isoDate" }),
+        seconds: _.date({ format: "epochSeconds" }),
+        ms: _.date({ format: "epoch" })
+    })
+
+    var json = {
+        iso: "2018-08-09T12:30:15.000Z",
+        day: "2018-08-09",
+        seconds: d.getTime() / 1000,
+        ms: d.getTime()
+    }
+    t.deepEqual(serialize(s, { iso: d, day: d, seconds: d, ms: d }), json)
+    var res = deserialize(s, json)
+    t.equal(res.iso.getTime(), d.getTime())
+    t.equal(res.day.getTime(), Date.UTC(2018, 7, 9))
+    t.equal(res.seconds.getTime(), d.getTime())
+    t.equal(res.ms.getTime(), d.getTime())
+
+    t.throws(() => _.date({ format: "unix" }), /unknown date format 'unix'/)
+
+    // lenient by default
+    t.ok(isNaN(deserialize(s, { iso: "bla" }).iso.getTime()))
+
+    var strict = _.createSimpleSchema({
+        iso: _.date({ format: "iso", strict: true }),
+        day: _.date({ format: "isoDate", strict: true }),
+        ms: _.date({ strict: true })
+    })
+    t.throws(() => deserialize(strict, { iso: "bla" }), /expected date in 'iso' format, got: bla/)
+    t.throws(() => deserialize(strict, { iso: 12 }), /expected date in 'iso' format/)
+    t.throws(() => deserialize(strict, { day: "2018-08-09T12:30:15Z" }), /expected date in 'isoDate' format/)
+    t.throws(() => deserialize(strict, { day: "2018-13-45" }), /invalid date: 2018-13-45/)
+    t.throws(() => deserialize(strict, { day: "2018-02-31" }), /invalid date: 2018-02-31/)
+    t.throws(() => deserialize(strict, { iso: "2018-02-30T10:00:00Z" }), /invalid date: 2018-02-30T10:00:00Z/)
+    t.equal(deserialize(strict, { day: "2016-02-29" }).day.getTime(), Date.UTC(2016, 1, 29))
+    t.throws(() => deserialize(strict, { ms: "2018-08-09" }), /expected date in 'epoch' format/)
+    t.equal(deserialize(strict, { iso: "2018-08-09T14:30:15+02:00", day: null }).iso.getTime(), d.getTime())
+
+    t.end()
+})
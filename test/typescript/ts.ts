@@ -9,6 +9,7 @@ import {
     serialize,
     deserialize,
     serializeAll,
+    enumeration,
     custom
 } from "../../";
 import {observable, autorun} from "mobx";
@@ -237,3 +238,39 @@ test("@serializeAll (babel)", t => {
 
     t.end()
 })
+
+test("typescript constructor params with default values", t => {
+    class Label {
+        constructor(
+            @serializable(alias("text", primitive({ required: true }))) public text: string,
+            @serializable(alias("size", primitive({ defaultValue: 12 }))) public size: number
+        ) {
+        }
+    }
+
+    const a = deserialize(Label, { text: "hello" });
+    t.ok(a instanceof Label);
+    t.equal(a.text, "hello");
+    t.equal(a.size, 12);
+    t.equal(deserialize(Label, { text: "hello", size: 20 }).size, 20);
+    t.throws(() => deserialize(Label, { size: 20 }), /required property 'text' is missing/);
+
+    t.end();
+});
+
+test("typescript enumerations", t => {
+    enum Status { Active, Blocked }
+    enum Color { Red = "red", Green = "green" }
+
+    class User {
+        @serializable(enumeration(Status, { names: true })) status: Status = Status.Active;
+        @serializable(enumeration(Color)) color: Color = Color.Red;
+    }
+
+    const user = deserialize(User, { status: "Blocked", color: "green" });
+    t.equal(user.status, Status.Blocked);
+    t.equal(user.color, Color.Green);
+    t.deepEqual(serialize(user), { status: "Blocked", color: "green" });
+
+    t.end();
+});